@@ -1,30 +1,125 @@
 /* background.js */
 
 // Import helper scripts
-importScripts('helpers/llm-interrogator.js', 'helpers/profile-manager.js', 'helpers/model-manager.js', 'helpers/card-manager.js');
+importScripts('helpers/llm-interrogator.js', 'helpers/profile-manager.js', 'helpers/model-manager.js', 'helpers/card-manager.js', 'helpers/settings-manager.js', 'helpers/site-rules-manager.js', 'helpers/profile-rules-manager.js');
 
 let llmInterrogator;
 let cardManager;
 let profileManager;
 
+// Maximum number of form templates kept in chrome.storage.local
+const MAX_FORM_TEMPLATES = 200;
+
+// Last rebuild of the context menus, the next one waits for it
+let contextMenusUpdate = Promise.resolve();
+
 // Initialize on installation or update
 chrome.runtime.onInstalled.addListener(async () => {
     console.log('Extension installed or updated. Initializing...');
     
+    await createContextMenus();
+
     console.log('Initialization complete.');
 });
 
+// Context menus are kept by the browser, but the profiles may have changed
+chrome.runtime.onStartup.addListener(async () => {
+    await createContextMenus();
+});
+
 // Single message listener to handle all incoming messages
-chrome.runtime.onMessage.addListener(async (message, sender, sendResponse) => {
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.action === "getOverlayStyles") {
+        // The stylesheet of the overlays, which pages cannot load
+        loadOverlayStyles().then(sendResponse);
+
+        // Indicate that response will be sent asynchronously
+        return true;
+    }
+
+    handleMessage(message, sender);
+});
+
+/**
+ * Handle the messages that do not need a response
+ * @param {Object} message - The received message
+ * @param {Object} sender - The sender of the message
+ */
+async function handleMessage(message, sender) {
     console.log('Received message:', message.action);
 
     if (message.action === "requestFormCompletion") {
         const tabId = sender.tab.id;
-        await processFormCompletion(message.formData, tabId);
+        const siteRule = await getSiteRule(message.site);
+        await processFormCompletion(message.formData, tabId, sender.frameId, message.profileName, siteRule);
+    } else if (message.action === "requestFieldCompletion") {
+        const siteRule = await getSiteRule(message.site);
+        await processFieldCompletion(message.formData, message.fieldData, sender.tab.id, sender.frameId, message.profileName, siteRule);
+    } else if (message.action === "requestDraftAnswer") {
+        const siteRule = await getSiteRule(message.site);
+        await processDraftAnswer(message.requestId, message.formData, message.fieldData, message.options, sender.tab.id, sender.frameId, siteRule);
+    } else if (message.action === "requestFillCorrection") {
+        const siteRule = await getSiteRule(message.site);
+        await processFillCorrection(message.formData, message.failures, message.round, sender.tab.id, sender.frameId, message.profileName, siteRule);
+    } else if (message.action === "fillFrameForms") {
+        await fillFrameForms(message.frames, message.fillInstructions, sender.tab.id, sender.frameId);
+    } else if (message.action === "rerunFormCompletion") {
+        await rerunFormCompletion(message.formId, message.url);
+    } else if (message.action === "requestProfileSuggestions") {
+        const siteRule = await getSiteRule(message.site);
+        await processProfileSuggestions(message.formData, message.typedValues, sender.tab.id, message.site, siteRule);
+    } else if (message.action === "addProfileFields") {
+        // The user accepted to save typed values to the profile
+        await initializeDataManagers();
+        await profileManager.addFields(message.profileName || profileManager.currentProfile, message.fields);
+    } else if (message.action === "updateProfileField") {
+        // The user corrected a value filled from the profile
+        await initializeDataManagers();
+        await profileManager.updateFieldValue(message.profileName || profileManager.currentProfile, message.key, message.value);
+    } else if (message.action === "undoFill") {
+        // Undo in every frame of the tab, each restoring its own fields
+        chrome.tabs.sendMessage(sender.tab.id, { action: "undoFill" });
     }
+}
 
-    // Indicate that response will be sent asynchronously
-    return true;
+// Handle keyboard shortcuts
+chrome.commands.onCommand.addListener(async (command) => {
+    console.log('Received command:', command);
+
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab) return;
+
+    if (command === "fill-form") {
+        chrome.tabs.sendMessage(tab.id, { action: "fillForm" });
+    } else if (command === "fill-field") {
+        chrome.tabs.sendMessage(tab.id, { action: "fillField" });
+    } else if (command === "undo-fill") {
+        chrome.tabs.sendMessage(tab.id, { action: "undoFill" });
+    } else if (command === "toggle-auto-fill") {
+        const { autoFill = false } = await chrome.storage.sync.get('autoFill');
+        await chrome.storage.sync.set({ autoFill: !autoFill });
+
+        const text = `Form Butler: auto-fill on focus ${autoFill ? 'disabled' : 'enabled'}.`;
+        chrome.tabs.sendMessage(tab.id, { action: "showNotice", text });
+    }
+});
+
+// Handle context menu entries, in the frame where the menu was opened
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+    if (!tab) return;
+
+    const menuItemId = String(info.menuItemId);
+    const message = { action: "fillForm", fromContextMenu: true };
+
+    if (menuItemId === 'draft-answer') {
+        message.action = "draftAnswer";
+    } else if (menuItemId.startsWith('fill-with-profile:')) {
+        message.profileName = menuItemId.slice('fill-with-profile:'.length);
+    } else if (menuItemId !== 'fill-form') {
+        return;
+    }
+
+    chrome.tabs.sendMessage(tab.id, message, { frameId: info.frameId });
 });
 
 // Listen for changes in chrome.storage.sync
@@ -33,93 +128,1038 @@ chrome.storage.onChanged.addListener(async (changes, area) => {
         console.log('Model changed. Re-initializing LLMInterrogator...');
         await initializeLLMInterrogator(changes.currentModel.newValue);
     }
+
+    if (area === 'sync' && changes.profiles) {
+        await createContextMenus();
+    }
 });
 
+/**
+ * Creates the context menu entries shown on editable elements: fill the form
+ * with the current profile, or with any of the profiles. The rebuilds are
+ * chained, as the installation, the startup and a change of the profiles may
+ * trigger them at the same time.
+ * 
+ * @returns {Promise<void>}
+ */
+function createContextMenus() {
+    contextMenusUpdate = contextMenusUpdate.then(buildContextMenus).catch(error => {
+        console.error('Error creating the context menus:', error);
+    });
+
+    return contextMenusUpdate;
+}
+
+/**
+ * Replaces the context menu entries with the ones of the current profiles.
+ * 
+ * @returns {Promise<void>}
+ */
+async function buildContextMenus() {
+    const { profiles = [] } = await chrome.storage.sync.get('profiles');
+
+    await chrome.contextMenus.removeAll();
+
+    createContextMenu({ id: 'fill-form', title: 'Fill with Form Butler', contexts: ['editable'] });
+    createContextMenu({ id: 'draft-answer', title: 'Draft an answer with Form Butler', contexts: ['editable'] });
+
+    if (profiles.length === 0) return;
+
+    createContextMenu({ id: 'fill-with-profile', title: 'Fill with profile', contexts: ['editable'] });
+    profiles.forEach(profile => {
+        createContextMenu({
+            id: `fill-with-profile:${profile.name}`,
+            parentId: 'fill-with-profile',
+            title: profile.name,
+            contexts: ['editable']
+        });
+    });
+}
+
+/**
+ * Creates a context menu entry, logging the error reported by Chrome if any.
+ * 
+ * @param {Object} properties - The properties of the entry, see chrome.contextMenus.create.
+ */
+function createContextMenu(properties) {
+    chrome.contextMenus.create(properties, () => {
+        if (chrome.runtime.lastError) {
+            console.error('Error creating the context menu entry:', properties.id, chrome.runtime.lastError.message);
+        }
+    });
+}
+
 /**
  * Processes the form completion request by sending form data to the LLM and
  * returning the completion instructions.
  * 
- * @param {Object} formData - The form data containing id, html, and url.
+ * @param {Object} formData - The form data containing id, html, url and frames.
  * @param {number} tabId - The ID of the tab requesting the completion.
+ * @param {number} [frameId=0] - The ID of the frame requesting the completion.
+ * @param {string} [profileName] - The profile to fill the form with, defaults
+ * to the profile of the matching profile rule, then of the site rule, then to
+ * the current profile.
+ * @param {Object} [siteRule] - The rule of the site, see getSiteRule.
  */
-async function processFormCompletion(formData, tabId) {
+async function processFormCompletion(formData, tabId, frameId = 0, profileName = null, siteRule = null) {
+    await initializeDataManagers([await getProfileRule(formData), siteRule]);
+    profileName = profileName || profileManager.currentProfile;
 
-    // Initialize profile manager
-    profileManager = new ProfileManager();
-    await profileManager.init();
+    // Reuse the mapping learned on an identical form, possibly on another site
+    const useStoredCompletion = await getUseStoredCompletion(siteRule);
+    const template = useStoredCompletion && formData.fingerprint ? await getFormTemplate(formData.fingerprint) : null;
 
-    // Initialize card manager
-    cardManager = new CardManager();
-    await cardManager.init();
+    if (template) {
+        const fillInstructions = applyFormTemplate(template, profileManager.getProfile(profileName, true).info, profileName);
 
-    // Initialize LLM interrogator
-    const llmInterrogator = await initializeLLMInterrogator();
+        if (fillInstructions.length > 0 && await templateFitsForm(fillInstructions, formData.id, tabId, frameId)) {
+            console.log('Filling form from the template learned on:', template.learnedOn);
+            chrome.tabs.sendMessage(tabId, {
+                action: "formCompletionReady",
+                formId: formData.id,
+                fillInstructions: fillInstructions,
+                profileName: profileName
+            }, { frameId });
+            return;
+        }
 
-    if (!llmInterrogator) {
-        console.error('LLM not configured');
-        chrome.tabs.sendMessage(tabId, { action: "formCompletionError", error: "LLM not configured", formId: formData.id });
-        return;
+        console.log('The template learned on', template.learnedOn, 'does not fit the form, asking the LLM');
     }
 
-    console.log('Extension initialized');
+    try {
+        // Describe the form, including the fields of its embedded frames
+        const frameForms = await collectFrameForms(formData.frames, tabId, frameId);
+        const fillInstructions = await generateFillInstructions(formData, frameForms, profileName, siteRule && siteRule.model);
+
+        // Send the completion instructions back to the content script
+        chrome.tabs.sendMessage(tabId, {
+            action: "formCompletionReady",
+            formId: formData.id,
+            fillInstructions: fillInstructions,
+            profileName: profileName
+        }, { frameId });
+    } catch (error) {
+        console.error('Error in processFormCompletion:', error);
+        // Send error back to the content script
+        chrome.tabs.sendMessage(tabId, { action: "formCompletionError", error: error.message, formId: formData.id }, { frameId });
+    }
+}
+
+/**
+ * Processes the completion of a single field: only the field and its context
+ * (page title, form heading, neighbouring fields) are sent to the LLM, which
+ * returns at most one instruction. The content script merges it into the
+ * stored instructions of the form.
+ * 
+ * @param {Object} formData - The form data containing id, url and category.
+ * @param {Object} fieldData - The field description and its context.
+ * @param {number} tabId - The ID of the tab requesting the completion.
+ * @param {number} [frameId=0] - The ID of the frame requesting the completion.
+ * @param {string} [profileName] - The profile to fill the field with, defaults
+ * to the profile of the matching profile rule, then of the site rule, then to
+ * the current profile.
+ * @param {Object} [siteRule] - The rule of the site, see getSiteRule.
+ */
+async function processFieldCompletion(formData, fieldData, tabId, frameId = 0, profileName = null, siteRule = null) {
+    await initializeDataManagers([await getProfileRule(formData), siteRule]);
+    profileName = profileName || profileManager.currentProfile;
 
     try {
-        // Load the prompt for form filling
-        const prompt = await loadPrompt('form_fill');
+        const llmInterrogator = await initializeLLMInterrogator(siteRule && siteRule.model);
+
+        if (!llmInterrogator) {
+            console.error('LLM not configured');
+            throw new Error("LLM not configured");
+        }
 
-        // Get user personal information
-        const personalInfo = profileManager.getProfile(null, true).info;
+        const prompt = await loadPrompt('field_fill');
+        const personalInfo = profileManager.getProfile(profileName, true).info;
 
-        // Initialize and strip card data
-        const currentCard = cardManager.getCard();
-        const strippedCard = { ...currentCard };
-        strippedCard.cardNumber = "";
-        strippedCard.cvv = "";
-        strippedCard.expirationDate = "";
+        // The field ID is only needed to target the field
+        const { id, ...field } = fieldData.field;
 
-        // Prepare message content for the LLM without actual card values
         const messageContent = JSON.stringify({
-            formBody: formData.html,
+            field: field,
+            context: fieldData.context,
             personalInfo: personalInfo,
-            cardStructure: strippedCard
+            cardStructure: getCardStructure(),
+            documents: profileManager.getDocuments(profileName)
         });
 
-        console.log('Sending form data to LLM');
+        console.log('Sending field data to LLM');
 
-        // Send the prompt and message to the LLM
         const response = await llmInterrogator.promptLLM([
             { role: "system", content: prompt },
             { role: "user", content: messageContent }
         ]);
 
-        console.log('Received response from LLM');
-
-        // Parse the LLM response
         const llmResponse = JSON.parse(response.content[0]);
         console.log('Parsed LLM response:', llmResponse);
 
-        // Replace card placeholders with actual card data
-        const filledCardInstructions = replaceCardPlaceholders(llmResponse.cardFillInstructions);
+        let fillInstructions = [];
+        const instruction = llmResponse.instruction;
 
-        // Merge personal and card instructions
-        const fillInstructions = [
-            ...llmResponse.personalFillInstructions,
-            ...filledCardInstructions
-        ];
+        if (instruction && instruction.value !== undefined && instruction.value !== null && instruction.value !== '') {
+            const { source, ...targeted } = { ...instruction, selector: idToSelector(id) };
+
+            if (source === 'card') {
+                delete targeted.key;
+                fillInstructions = replaceCardPlaceholders(validateConfidence([targeted]));
+            } else if (source === 'document') {
+                fillInstructions = resolveDocumentKeys(validateConfidence([targeted]), profileName);
+            } else {
+                fillInstructions = resolveProfileKeys(validateConfidence([targeted]), personalInfo)
+                    .map(instruction => ({ ...instruction, source: 'personal' }));
+            }
+        }
 
-        // Send the completion instructions back to the content script
         chrome.tabs.sendMessage(tabId, {
             action: "formCompletionReady",
             formId: formData.id,
-            fillInstructions: fillInstructions
+            fillInstructions: fillInstructions,
+            fieldOnly: true,
+            profileName: profileName
+        }, { frameId });
+    } catch (error) {
+        console.error('Error in processFieldCompletion:', error);
+        chrome.tabs.sendMessage(tabId, { action: "formCompletionError", error: error.message, formId: formData.id }, { frameId });
+    }
+}
+
+/**
+ * Asks the LLM to correct the fields the page rejected after a fill: each
+ * field is sent with the rejected value (never for card fields) and the error
+ * shown by the page, in a follow-up turn after the form fill guidelines. The
+ * corrections are sent back to the content script, which fills and checks
+ * them again.
+ * 
+ * @param {Object} formData - The form data containing id, url and category.
+ * @param {Array<Object>} failures - The rejected fields: selector, field
+ * description, value, source, key and error.
+ * @param {number} round - The correction round, starting at 1.
+ * @param {number} tabId - The ID of the tab requesting the correction.
+ * @param {number} [frameId=0] - The ID of the frame requesting the correction.
+ * @param {string} [profileName] - The profile the form was filled with.
+ * @param {Object} [siteRule] - The rule of the site, see getSiteRule.
+ */
+async function processFillCorrection(formData, failures, round, tabId, frameId = 0, profileName = null, siteRule = null) {
+    await initializeDataManagers([await getProfileRule(formData), siteRule]);
+    profileName = profileName || profileManager.currentProfile;
+
+    try {
+        const llmInterrogator = await initializeLLMInterrogator(siteRule && siteRule.model);
+
+        if (!llmInterrogator) {
+            console.error('LLM not configured');
+            throw new Error("LLM not configured");
+        }
+
+        const prompt = await loadPrompt('fill_correction');
+        const personalInfo = profileManager.getProfile(profileName, true).info;
+
+        const messageContent = JSON.stringify({
+            rejectedFields: failures.map((failure, index) => {
+                const { id, ...field } = failure.field;
+                return { index, field, value: failure.value, source: failure.source, key: failure.key, error: failure.error };
+            }),
+            personalInfo: personalInfo,
+            cardStructure: getCardStructure()
+        });
+
+        console.log('Sending', failures.length, 'rejected fields to LLM, round', round);
+
+        const response = await llmInterrogator.promptLLM([
+            { role: "system", content: prompt },
+            { role: "user", content: messageContent }
+        ]);
+
+        const llmResponse = JSON.parse(response.content[0]);
+        console.log('Parsed LLM response:', llmResponse);
+
+        // Map the field indexes back to the selectors of the rejected fields
+        const corrections = (llmResponse.corrections || [])
+        .filter(correction => failures[correction.field] && correction.value !== undefined && correction.value !== null && correction.value !== '')
+        .map(({ field, source, ...correction }) => ({ ...correction, selector: failures[field].selector, source }));
+
+        const personalCorrections = resolveProfileKeys(
+            validateConfidence(corrections.filter(correction => correction.source !== 'card').map(({ source, ...correction }) => correction)),
+            personalInfo
+        ).map(correction => ({ ...correction, source: 'personal' }));
+
+        const cardCorrections = replaceCardPlaceholders(
+            validateConfidence(corrections.filter(correction => correction.source === 'card').map(({ source, key, ...correction }) => correction))
+        );
+
+        chrome.tabs.sendMessage(tabId, {
+            action: "fillCorrectionReady",
+            formId: formData.id,
+            corrections: [...personalCorrections, ...cardCorrections],
+            round: round,
+            profileName: profileName
+        }, { frameId });
+    } catch (error) {
+        console.error('Error in processFillCorrection:', error);
+        chrome.tabs.sendMessage(tabId, { action: "fillCorrectionError", error: error.message, formId: formData.id }, { frameId });
+    }
+}
+
+/**
+ * Drafts an answer to an open-ended question (e.g. "Why do you want to work
+ * here?") from the background text of the current profile and the page
+ * context. The draft is sent back to the content script, which shows it for
+ * editing before inserting it.
+ * 
+ * @param {string} requestId - The ID of the draft request, sent back with the draft.
+ * @param {Object} formData - The form data containing id, url and category,
+ * used to select the profile.
+ * @param {Object} fieldData - The field description and its context.
+ * @param {Object} options - The draft options: length, tone and locale.
+ * @param {number} tabId - The ID of the tab requesting the draft.
+ * @param {number} [frameId=0] - The ID of the frame requesting the draft.
+ * @param {Object} [siteRule] - The rule of the site, see getSiteRule.
+ */
+async function processDraftAnswer(requestId, formData, fieldData, options, tabId, frameId = 0, siteRule = null) {
+    await initializeDataManagers([await getProfileRule(formData), siteRule]);
+
+    try {
+        const llmInterrogator = await initializeLLMInterrogator(siteRule && siteRule.model);
+
+        if (!llmInterrogator) {
+            console.error('LLM not configured');
+            throw new Error("LLM not configured");
+        }
+
+        const prompt = await loadPrompt('draft_answer');
+
+        const { id, ...field } = fieldData.field;
+
+        const messageContent = JSON.stringify({
+            field: field,
+            context: fieldData.context,
+            personalInfo: profileManager.getProfile(null, true).info,
+            background: profileManager.getBackground(),
+            length: options.length,
+            tone: options.tone,
+            language: options.locale
         });
+
+        console.log('Sending draft request to LLM');
+
+        const response = await llmInterrogator.promptLLM([
+            { role: "system", content: prompt },
+            { role: "user", content: messageContent }
+        ]);
+
+        const llmResponse = JSON.parse(response.content[0]);
+
+        if (typeof llmResponse.answer !== 'string') {
+            throw new Error("Invalid draft returned by the LLM");
+        }
+
+        chrome.tabs.sendMessage(tabId, {
+            action: "draftAnswerReady",
+            requestId: requestId,
+            answer: llmResponse.answer.trim(),
+            profileName: profileManager.currentProfile
+        }, { frameId });
     } catch (error) {
-        console.error('Error in processFormCompletion:', error);
-        // Send error back to the content script
-        chrome.tabs.sendMessage(tabId, { action: "formCompletionError", error: error.message, formId: formData.id });
+        console.error('Error in processDraftAnswer:', error);
+        chrome.tabs.sendMessage(tabId, { action: "draftAnswerError", requestId: requestId, error: error.message }, { frameId });
     }
 }
 
+/**
+ * Picks, among the values the user typed in a submitted form, the reusable
+ * personal data which is not in the profile yet (e.g. a passport number), to
+ * offer adding it to the profile. Values already in the profile are dropped
+ * before asking the LLM. The suggestions are kept in chrome.storage.local, as
+ * the submission usually leaves the page: the top frame of the tab shows
+ * them, or the next page of the site once loaded.
+ * 
+ * @param {Object} formData - The form data containing id, url and category,
+ * used to select the profile.
+ * @param {Array<Object>} typedValues - The typed values: field description and value.
+ * @param {number} tabId - The ID of the tab where the form was submitted.
+ * @param {string} site - The hostname of the site of the tab.
+ * @param {Object} [siteRule] - The rule of the site, see getSiteRule.
+ */
+async function processProfileSuggestions(formData, typedValues, tabId, site, siteRule = null) {
+    const { extensionEnabled = true } = await chrome.storage.sync.get('extensionEnabled');
+    const settingsManager = new SettingsManager();
+    await settingsManager.init();
+
+    if (!extensionEnabled || !settingsManager.getSetting('profileSuggestions') || (siteRule && siteRule.mode === 'disabled')) {
+        return;
+    }
+
+    await initializeDataManagers([await getProfileRule(formData), siteRule]);
+    const profileName = profileManager.currentProfile;
+    const profileFields = profileManager.getProfile(profileName).info;
+
+    // Values already in the profile are not new
+    const normalize = value => String(value ?? '').trim().toLowerCase();
+    const knownValues = new Set(Object.values(profileFields).map(field => normalize(field.value)));
+    const newValues = typedValues.filter(({ value }) => !knownValues.has(normalize(value)));
+
+    if (newValues.length === 0) {
+        return;
+    }
+
+    try {
+        const llmInterrogator = await initializeLLMInterrogator(siteRule && siteRule.model);
+
+        if (!llmInterrogator) {
+            console.error('LLM not configured');
+            throw new Error("LLM not configured");
+        }
+
+        const prompt = await loadPrompt('profile_suggestions');
+
+        const messageContent = JSON.stringify({
+            typedValues: newValues.map(({ field, value }, index) => {
+                const { id, ...description } = field;
+                return { index, field: description, value };
+            }),
+            profileFields: Object.fromEntries(
+                Object.entries(profileFields).map(([key, field]) => [key, { label: field.label, filled: field.value !== '' }])
+            )
+        });
+
+        console.log('Sending', newValues.length, 'typed values to LLM for profile suggestions');
+
+        const response = await llmInterrogator.promptLLM([
+            { role: "system", content: prompt },
+            { role: "user", content: messageContent }
+        ]);
+
+        const llmResponse = JSON.parse(response.content[0]);
+        console.log('Parsed LLM response:', llmResponse);
+
+        // Filled fields of the profile are never overwritten
+        const suggestions = (llmResponse.suggestions || [])
+        .filter(suggestion => newValues[suggestion.field] && typeof suggestion.label === 'string' && suggestion.label.trim() !== '')
+        .map(suggestion => {
+            const key = typeof suggestion.key === 'string' ? ProfileManager.findFieldKey(profileFields, suggestion.key) : null;
+            const field = newValues[suggestion.field].field;
+
+            return { key, label: key ? profileFields[key].label : suggestion.label.trim(), value: newValues[suggestion.field].value, type: field.type };
+        })
+        .filter(suggestion => {
+            const existingField = profileFields[suggestion.key || ProfileManager.findFieldKey(profileFields, ProfileManager.generateFieldId(suggestion.label))];
+            return !existingField || existingField.value === '';
+        });
+
+        if (suggestions.length === 0) {
+            console.log('No typed value worth saving to the profile');
+            return;
+        }
+
+        await chrome.storage.local.set({
+            pendingProfileSuggestions: { site, profileName, suggestions, createdAt: Date.now() }
+        });
+
+        // The page may have been left since the submission
+        chrome.tabs.sendMessage(tabId, { action: "profileSuggestionsReady" }, { frameId: 0 }).catch(() => {});
+    } catch (error) {
+        console.error('Error in processProfileSuggestions:', error);
+    }
+}
+
+/**
+ * Re-runs the completion of a stored form with the current profile and card,
+ * replacing its stored fill instructions, and notifies the extension pages.
+ * The fields of embedded frames cannot be collected without the page, so
+ * their stored instructions are kept.
+ * 
+ * @param {string} formId - The ID of the stored form.
+ * @param {string} url - The URL of the stored form.
+ */
+async function rerunFormCompletion(formId, url) {
+    try {
+        const { formsData = [] } = await chrome.storage.local.get('formsData');
+        const formData = formsData.find(form => form.id === formId && form.url === url);
+
+        if (!formData) {
+            throw new Error('Stored form not found');
+        }
+
+        const siteRule = await getSiteRule(url);
+        await initializeDataManagers([await getProfileRule(formData), siteRule]);
+
+        const fillInstructions = await generateFillInstructions(formData, [], null, siteRule.model);
+
+        // The form may have been updated while waiting for the LLM
+        const { formsData: currentFormsData = [] } = await chrome.storage.local.get('formsData');
+        const currentForm = currentFormsData.find(form => form.id === formId && form.url === url);
+
+        if (currentForm) {
+            const frameInstructions = (currentForm.fillInstructions || []).filter(instruction => instruction.frame !== undefined);
+            currentForm.fillInstructions = [...fillInstructions, ...frameInstructions];
+            currentForm.fulfilled = true;
+            currentForm.profileName = profileManager.currentProfile;
+            await chrome.storage.local.set({ formsData: currentFormsData });
+        }
+
+        // The options page may have been closed in the meantime
+        chrome.runtime.sendMessage({ action: "formCompletionRerun", formId, url }).catch(() => {});
+    } catch (error) {
+        console.error('Error in rerunFormCompletion:', error);
+        chrome.runtime.sendMessage({ action: "formCompletionRerun", formId, url, error: error.message }).catch(() => {});
+    }
+}
+
+/**
+ * Initializes the profile and card managers with the current data. The
+ * profile and card of the first rule setting one that still exists replace
+ * the current ones.
+ * 
+ * @param {Array<Object|null>} [rules=[]] - The matching profile and site
+ * rules, by precedence, see getProfileRule and getSiteRule.
+ * @returns {Promise<void>}
+ */
+async function initializeDataManagers(rules = []) {
+    // Initialize profile manager
+    profileManager = new ProfileManager();
+    await profileManager.init();
+
+    // Initialize card manager
+    cardManager = new CardManager();
+    await cardManager.init();
+
+    const activeRules = rules.filter(Boolean);
+
+    const profileRule = activeRules.find(rule => rule.profile && profileManager.profiles.some(profile => profile.name === rule.profile));
+    if (profileRule) {
+        console.log('Using the profile selected by rule:', profileRule.profile);
+        profileManager.currentProfile = profileRule.profile;
+    }
+
+    const cardRule = activeRules.find(rule => rule.card && cardManager.getCard(rule.card));
+    if (cardRule) {
+        console.log('Using the card selected by rule:', cardRule.card);
+        cardManager.currentCard = cardRule.card;
+    }
+}
+
+/**
+ * Retrieves the first profile rule matching a form, by URL pattern and
+ * detected category.
+ * 
+ * @param {Object} formData - The form data containing url and category.
+ * @returns {Promise<Object|null>} The rule (profile and card), or null if none matches.
+ */
+async function getProfileRule(formData) {
+    if (!formData || !formData.url) {
+        return null;
+    }
+
+    const profileRulesManager = new ProfileRulesManager();
+    await profileRulesManager.init();
+    return profileRulesManager.getRule(formData.url, formData.category);
+}
+
+/**
+ * Retrieves the rule of a site: run mode, use of stored completions and
+ * default profile, card and model.
+ * 
+ * @param {string} site - The hostname (or URL) of the site.
+ * @returns {Promise<Object>} The rule, with default values if the site has none.
+ */
+async function getSiteRule(site) {
+    const siteRulesManager = new SiteRulesManager();
+    await siteRulesManager.init();
+    return siteRulesManager.getRule(site || '');
+}
+
+/**
+ * Checks whether stored completions should be used, following the site rule
+ * or, if it does not decide, the global preference.
+ * 
+ * @param {Object} [siteRule] - The rule of the site, see getSiteRule.
+ * @returns {Promise<boolean>} Whether stored completions should be used.
+ */
+async function getUseStoredCompletion(siteRule = null) {
+    if (siteRule && siteRule.useStoredCompletion !== null) {
+        return siteRule.useStoredCompletion;
+    }
+
+    const { useStoredCompletion } = await chrome.storage.sync.get('useStoredCompletion');
+    return Boolean(useStoredCompletion);
+}
+
+/**
+ * Asks the LLM how to fill a form with a profile and the current card.
+ * 
+ * @param {Object} formData - The form data containing id, html, fields and url.
+ * @param {Array<Object>} frameForms - The forms of the embedded frames.
+ * @param {string} [profileName] - The profile to use, defaults to the current profile.
+ * @param {string} [modelLabel] - The model to use, defaults to the current model.
+ * @returns {Promise<Array>} The fill instructions, with actual card values.
+ * @throws {Error} If the LLM is not configured or its response is invalid.
+ */
+async function generateFillInstructions(formData, frameForms, profileName = null, modelLabel = null) {
+    // Initialize LLM interrogator
+    const llmInterrogator = await initializeLLMInterrogator(modelLabel);
+
+    if (!llmInterrogator) {
+        console.error('LLM not configured');
+        throw new Error("LLM not configured");
+    }
+
+    console.log('Extension initialized');
+
+    // Load the prompt for form filling
+    const prompt = await loadPrompt('form_fill');
+
+    // Get user personal information
+    const personalInfo = profileManager.getProfile(profileName, true).info;
+
+    // Strip card data
+    const strippedCard = getCardStructure();
+
+    const settingsManager = new SettingsManager();
+    await settingsManager.init();
+
+    const formDescription = buildFormDescription(formData, frameForms, settingsManager.getSetting('formDescriptionMode'));
+
+    // Prepare message content for the LLM without actual card values
+    const messageContent = JSON.stringify({
+        ...formDescription.content,
+        personalInfo: personalInfo,
+        cardStructure: strippedCard,
+        documents: profileManager.getDocuments(profileName)
+    });
+
+    console.log('Sending form data to LLM');
+
+    // Send the prompt and message to the LLM
+    const response = await llmInterrogator.promptLLM([
+        { role: "system", content: prompt },
+        { role: "user", content: messageContent }
+    ]);
+
+    console.log('Received response from LLM');
+
+    // Parse the LLM response
+    const llmResponse = JSON.parse(response.content[0]);
+    console.log('Parsed LLM response:', llmResponse);
+
+    // Map the field indexes of the field list mode back to selectors and
+    // validate the confidence of each instruction
+    const personalFillInstructions = resolveProfileKeys(
+        validateConfidence(resolveFieldIndexes(llmResponse.personalFillInstructions, formDescription.fieldTargets)),
+        personalInfo
+    );
+    const cardFillInstructions = validateConfidence(resolveFieldIndexes(llmResponse.cardFillInstructions, formDescription.fieldTargets));
+    const documentFillInstructions = resolveDocumentKeys(
+        validateConfidence(resolveFieldIndexes(llmResponse.documentFillInstructions, formDescription.fieldTargets)),
+        profileName
+    );
+
+    // Remember which profile, card and document keys fill this form, for identical forms on other sites
+    await saveFormTemplate(formData, personalInfo, personalFillInstructions, cardFillInstructions, documentFillInstructions);
+
+    // Replace card placeholders with actual card data
+    const filledCardInstructions = replaceCardPlaceholders(cardFillInstructions);
+
+    // Merge personal, card and document instructions
+    return [
+        ...personalFillInstructions.map(instruction => ({ ...instruction, source: 'personal' })),
+        ...filledCardInstructions,
+        ...documentFillInstructions
+    ];
+}
+
+/**
+ * Returns the structure of the current card, without the card number, CVV
+ * and expiration date, to be sent to the LLM.
+ * 
+ * @returns {Object} The stripped card.
+ */
+function getCardStructure() {
+    const currentCard = cardManager.getCard();
+    const strippedCard = { ...currentCard };
+    strippedCard.cardNumber = "";
+    strippedCard.cvv = "";
+    strippedCard.expirationDate = "";
+    return strippedCard;
+}
+
+/**
+ * Roughly estimates the number of tokens of a text (about 4 characters per token).
+ * 
+ * @param {string} text - The text to measure.
+ * @returns {number} The estimated number of tokens.
+ */
+function estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+}
+
+/**
+ * Builds a CSS selector matching an element ID.
+ * 
+ * @param {string} id - The element ID.
+ * @returns {string} The selector.
+ */
+function idToSelector(id) {
+    return /^[A-Za-z][\w-]*$/.test(id) ? `#${id}` : `[id="${id.replace(/["\\]/g, '\\$&')}"]`;
+}
+
+/**
+ * Builds the form description sent to the LLM, either as simplified HTML or as
+ * a compact field list, and logs the estimated size of both.
+ * 
+ * @param {Object} formData - The form data with html and fields.
+ * @param {Array<Object>} frameForms - The forms of the embedded frames.
+ * @param {string} mode - The description mode, 'html' or 'manifest'.
+ * @returns {{content: Object, fieldTargets: Array<Object>}} The message
+ * content describing the form, and the targets of the field indexes.
+ */
+function buildFormDescription(formData, frameForms, mode) {
+    // HTML: the fields of the frames are wrapped at the end of the form
+    let formBody = formData.html;
+    frameForms.forEach(frameForm => {
+        formBody += `\n<form-butler-frame index="${frameForm.index}">${frameForm.html}</form-butler-frame>`;
+    });
+
+    // Field list: the fields of the frames are appended, with continuous indexes
+    const fieldTargets = [];
+    const formFields = [];
+    const addFields = (fields = [], frame) => {
+        fields.forEach(({ index, id, ...field }) => {
+            fieldTargets.push(frame === undefined ? { selector: idToSelector(id) } : { selector: idToSelector(id), frame });
+            formFields.push({ index: formFields.length, ...field });
+        });
+    };
+    addFields(formData.fields);
+    frameForms.forEach(frameForm => addFields(frameForm.fields, frameForm.index));
+
+    const htmlTokens = estimateTokens(formBody);
+    const manifestTokens = estimateTokens(JSON.stringify(formFields));
+    console.log(`Form description size (estimated tokens): HTML ${htmlTokens}, field list ${manifestTokens}. Using: ${mode}`);
+
+    if (mode === 'manifest') {
+        return { content: { formFields }, fieldTargets };
+    }
+
+    return { content: { formBody }, fieldTargets: [] };
+}
+
+/**
+ * Converts the instructions referencing fields by index (field list mode) to
+ * instructions with a selector and, for embedded frames, a frame index.
+ * 
+ * @param {Array} instructions - The instructions returned by the LLM.
+ * @param {Array<Object>} fieldTargets - The selector and frame of each field index.
+ * @returns {Array} The instructions with selectors.
+ */
+function resolveFieldIndexes(instructions = [], fieldTargets) {
+    return instructions.map(instruction => {
+        if (instruction.field === undefined) {
+            return instruction;
+        }
+
+        const target = fieldTargets[instruction.field];
+        if (!target) {
+            console.warn('Unknown field index in LLM response:', instruction.field);
+            return null;
+        }
+
+        const { field, ...rest } = instruction;
+        return { ...rest, ...target };
+    }).filter(Boolean);
+}
+
+/**
+ * Normalizes the confidence and rationale returned by the LLM for each
+ * instruction: the confidence is a number between 0 and 1 (percentages are
+ * converted, invalid values are set to null), the rationale a short string.
+ * 
+ * @param {Array} instructions - The instructions returned by the LLM.
+ * @returns {Array} The instructions with validated confidence and rationale.
+ */
+function validateConfidence(instructions) {
+    return instructions.map(instruction => {
+        let confidence = parseFloat(instruction.confidence);
+
+        if (isNaN(confidence) || confidence < 0) {
+            confidence = null;
+        } else if (confidence > 1) {
+            // Percentage instead of a ratio
+            confidence = Math.min(confidence / 100, 1);
+        }
+
+        const rationale = typeof instruction.rationale === 'string' 
+        ? instruction.rationale.trim().slice(0, 200) 
+        : '';
+
+        return { ...instruction, confidence, rationale };
+    });
+}
+
+/**
+ * Resolves the profile key each personal instruction comes from: the key
+ * returned by the LLM if it exists in the profile, otherwise the key of the
+ * profile field holding exactly the instruction value.
+ * 
+ * @param {Array} instructions - The personal instructions returned by the LLM.
+ * @param {Object} personalInfo - The profile fields sent to the LLM, by key.
+ * @returns {Array} The instructions, with a key when it could be resolved.
+ */
+function resolveProfileKeys(instructions, personalInfo) {
+    return instructions.map(({ key, ...instruction }) => {
+        if (key && personalInfo[key]) {
+            return { ...instruction, key };
+        }
+
+        const value = String(instruction.value ?? '').trim();
+        const match = value && Object.entries(personalInfo).find(([, field]) => String(field.value ?? '').trim() === value);
+
+        return match ? { ...instruction, key: match[0] } : instruction;
+    });
+}
+
+/**
+ * Resolves the documents chosen by the LLM for the file fields. The content
+ * script loads the document from the profile and key of the instruction when
+ * filling the field; its file name is the value shown to the user.
+ * 
+ * @param {Array} instructions - The document instructions, with document keys as values.
+ * @param {string} [profileName] - The profile the documents come from, defaults to the current profile.
+ * @returns {Array} The instructions whose document exists in the profile.
+ */
+function resolveDocumentKeys(instructions, profileName = null) {
+    profileName = profileName || profileManager.currentProfile;
+    const documents = profileManager.getDocuments(profileName);
+
+    return instructions
+    .map(({ value, key, ...instruction }) => {
+        const profileDocument = documents.find(candidate => candidate.key === (key || value));
+
+        if (!profileDocument) {
+            console.warn('Unknown document chosen for:', instruction.selector, 'key:', key || value);
+            return null;
+        }
+
+        return { ...instruction, value: profileDocument.fileName, key: profileDocument.key, profile: profileName, source: 'document' };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Stores the template of a form: for each field filled from a single profile
+ * or card key, its selector and key, without any value. Templates are keyed on
+ * the structural fingerprint of the form, so that the same form (e.g. a
+ * checkout or job application platform) can be filled on any site without
+ * asking the LLM again. Only the personal values taken as is from the profile
+ * are kept, as the template replays the raw profile value: a formatted phone
+ * number or a combined name is left out.
+ * 
+ * @param {Object} formData - The form data, with its fingerprint and url.
+ * @param {Object} personalInfo - The profile fields sent to the LLM, by key.
+ * @param {Array} personalInstructions - The personal instructions, with their keys.
+ * @param {Array} cardInstructions - The card instructions, with card keys as values.
+ * @param {Array} [documentInstructions] - The document instructions, with their keys.
+ * @returns {Promise<void>}
+ */
+async function saveFormTemplate(formData, personalInfo, personalInstructions, cardInstructions, documentInstructions = []) {
+    if (!formData.fingerprint) {
+        return;
+    }
+
+    const toTemplate = (instruction, key, source) => {
+        const { value, ...rest } = instruction;
+        return { ...rest, key, source };
+    };
+    const isProfileValue = instruction => instruction.key &&
+        String(instruction.value ?? '').trim() === String(personalInfo[instruction.key].value ?? '').trim();
+
+    const instructions = [
+        ...personalInstructions.filter(isProfileValue).map(instruction => toTemplate(instruction, instruction.key, 'personal')),
+        ...cardInstructions.filter(instruction => instruction.value).map(instruction => toTemplate(instruction, instruction.value, 'card')),
+        ...documentInstructions.map(({ profile, ...instruction }) => toTemplate(instruction, instruction.key, 'document'))
+    ];
+
+    if (instructions.length === 0) {
+        return;
+    }
+
+    const { formTemplates = {} } = await chrome.storage.local.get('formTemplates');
+
+    formTemplates[formData.fingerprint] = {
+        fingerprint: formData.fingerprint,
+        instructions: instructions,
+        learnedOn: new URL(formData.url).hostname,
+        updatedAt: Date.now(),
+        lastUsedAt: Date.now()
+    };
+
+    // Evict the least recently used templates
+    const fingerprints = Object.keys(formTemplates);
+    if (fingerprints.length > MAX_FORM_TEMPLATES) {
+        fingerprints
+        .sort((a, b) => formTemplates[a].lastUsedAt - formTemplates[b].lastUsedAt)
+        .slice(0, fingerprints.length - MAX_FORM_TEMPLATES)
+        .forEach(fingerprint => delete formTemplates[fingerprint]);
+    }
+
+    await chrome.storage.local.set({ formTemplates });
+    console.log('Saved form template:', formData.fingerprint, 'with', instructions.length, 'fields');
+}
+
+/**
+ * Retrieves the template of a form by its structural fingerprint, updating
+ * its last use.
+ * 
+ * @param {string} fingerprint - The structural fingerprint of the form.
+ * @returns {Promise<Object|null>} The template, or null if none is stored.
+ */
+async function getFormTemplate(fingerprint) {
+    const { formTemplates = {} } = await chrome.storage.local.get('formTemplates');
+    const template = formTemplates[fingerprint];
+
+    if (!template) {
+        return null;
+    }
+
+    template.lastUsedAt = Date.now();
+    await chrome.storage.local.set({ formTemplates });
+
+    return template;
+}
+
+/**
+ * Builds fill instructions from a form template, with the values and
+ * documents of the profile and the current card.
+ * 
+ * @param {Object} template - The form template.
+ * @param {Object} personalInfo - The profile fields with a value, by key.
+ * @param {string} [profileName] - The profile the documents come from.
+ * @returns {Array} The fill instructions.
+ */
+function applyFormTemplate(template, personalInfo, profileName = null) {
+    const personalInstructions = template.instructions
+    .filter(instruction => instruction.source === 'personal' && personalInfo[instruction.key] && personalInfo[instruction.key].value !== '')
+    .map(instruction => ({ ...instruction, value: personalInfo[instruction.key].value }));
+
+    const cardInstructions = replaceCardPlaceholders(
+        template.instructions
+        .filter(instruction => instruction.source === 'card')
+        .map(({ key, ...instruction }) => ({ ...instruction, value: key }))
+    ).filter(instruction => instruction.value);
+
+    const documentInstructions = resolveDocumentKeys(
+        template.instructions.filter(instruction => instruction.source === 'document'),
+        profileName
+    );
+
+    return [...personalInstructions, ...cardInstructions, ...documentInstructions];
+}
+
+/**
+ * Checks that the selectors of a template resolve to fields of the form in
+ * the content script, as the same structure may be rendered with other ids
+ * or names on another site. The fields of embedded frames are not checked.
+ * 
+ * @param {Array} fillInstructions - The instructions built from the template.
+ * @param {string} formId - The ID of the form to fill.
+ * @param {number} tabId - The ID of the tab containing the form.
+ * @param {number} frameId - The ID of the frame containing the form.
+ * @returns {Promise<boolean>} Whether every selector resolves.
+ */
+async function templateFitsForm(fillInstructions, formId, tabId, frameId) {
+    const selectors = fillInstructions.filter(instruction => instruction.frame === undefined).map(instruction => instruction.selector);
+
+    try {
+        const unresolved = await chrome.tabs.sendMessage(tabId, { action: "checkFormSelectors", formId, selectors }, { frameId });
+        return Array.isArray(unresolved) && unresolved.length === 0;
+    } catch (error) {
+        console.warn('Could not check the template selectors:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Matches the iframes embedded in a form with the frames of the tab, using
+ * their URL.
+ * 
+ * @param {Array<Object>} frames - The embedded frames, each with index and url.
+ * @param {number} tabId - The ID of the tab containing the form.
+ * @param {number} parentFrameId - The ID of the frame containing the form.
+ * @returns {Promise<Array<Object>>} The matched frames, each with index and frameId.
+ */
+async function resolveFormFrames(frames, tabId, parentFrameId) {
+    if (!frames || frames.length === 0) {
+        return [];
+    }
+
+    const tabFrames = await chrome.webNavigation.getAllFrames({ tabId });
+    const childFrames = tabFrames.filter(frame => frame.parentFrameId === parentFrameId);
+    const usedFrameIds = new Set();
+
+    return frames.map(frame => {
+        const match = childFrames.find(child => child.url === frame.url && !usedFrameIds.has(child.frameId));
+
+        if (!match) {
+            console.warn('Embedded frame not found:', frame.url);
+            return null;
+        }
+
+        usedFrameIds.add(match.frameId);
+        return { index: frame.index, frameId: match.frameId };
+    }).filter(Boolean);
+}
+
+/**
+ * Collects the forms of the frames embedded in a form from the content script
+ * running in each frame.
+ * 
+ * @param {Array<Object>} frames - The embedded frames, each with index and url.
+ * @param {number} tabId - The ID of the tab containing the form.
+ * @param {number} parentFrameId - The ID of the frame containing the form.
+ * @returns {Promise<Array<Object>>} The frame forms, each with index, frameId and html.
+ */
+async function collectFrameForms(frames, tabId, parentFrameId) {
+    const resolvedFrames = await resolveFormFrames(frames, tabId, parentFrameId);
+    const frameForms = [];
+
+    for (const frame of resolvedFrames) {
+        try {
+            const frameForm = await chrome.tabs.sendMessage(tabId, { action: "collectFrameForm" }, { frameId: frame.frameId });
+            if (frameForm) {
+                frameForms.push({ ...frame, html: frameForm.html, fields: frameForm.fields });
+            }
+        } catch (error) {
+            console.warn('Could not collect form from frame:', frame.frameId, error);
+        }
+    }
+
+    return frameForms;
+}
+
+/**
+ * Dispatches the fill instructions targeting embedded frames to the content
+ * script of each frame.
+ * 
+ * @param {Array<Object>} frames - The embedded frames, each with index and url.
+ * @param {Array} fillInstructions - Instructions with the index of their frame.
+ * @param {number} tabId - The ID of the tab containing the form.
+ * @param {number} parentFrameId - The ID of the frame containing the form.
+ */
+async function fillFrameForms(frames, fillInstructions, tabId, parentFrameId) {
+    const resolvedFrames = await resolveFormFrames(frames, tabId, parentFrameId);
+
+    resolvedFrames.forEach(frame => {
+        const frameInstructions = fillInstructions
+        .filter(instruction => instruction.frame === frame.index)
+        .map(({ frame, ...instruction }) => instruction);
+
+        if (frameInstructions.length > 0) {
+            chrome.tabs.sendMessage(tabId, { action: "fillFrameForm", fillInstructions: frameInstructions }, { frameId: frame.frameId });
+        }
+    });
+}
+
 /**
  * Initializes the LLM interrogator with the selected model.
  * 
@@ -132,7 +1172,8 @@ async function initializeLLMInterrogator(modelLabel = null) {
     const modelManager = new ModelManager();
     await modelManager.init();
 
-    const model = modelManager.getModel(modelLabel);
+    // Fall back to the current model if the requested one was deleted
+    const model = modelManager.getModel(modelLabel) || modelManager.getModel();
 
     console.log('Model:', model);
     console.log('Stored data:', await chrome.storage.sync.get());
@@ -171,6 +1212,15 @@ async function loadPrompt(promptType) {
     return promptText;
 }
 
+/**
+ * Load the stylesheet of the overlays shown by the content script
+ * @returns {Promise<string>} The CSS text
+ */
+async function loadOverlayStyles() {
+    const response = await fetch(chrome.runtime.getURL('styles/content.css'));
+    return response.text();
+}
+
 /**
  * Replace card placeholders with actual card data
  * @param {Array} cardFillInstructions - Instructions with card placeholders
@@ -185,6 +1235,6 @@ function replaceCardPlaceholders(cardFillInstructions) {
 
     return cardFillInstructions.map(instruction => {
         let value = currentCard[instruction.value] || '';
-        return { ...instruction, value };
+        return { ...instruction, value, source: 'card' };
     });
 }
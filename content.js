@@ -5,8 +5,110 @@ console.log('Content script loaded');
 // Global variable with all input-related element tags
 const INPUT_ELEMENT_TAGS = 'input, select, textarea, datalist, [contenteditable]';
 
+// Elements that can act as a logical form for inputs that are not inside a <form>
+const VIRTUAL_FORM_CONTAINERS = '[role="form"], fieldset, dialog, [role="dialog"]';
+
+// Attribute used to mark containers promoted to virtual forms
+const VIRTUAL_FORM_ATTRIBUTE = 'data-form-butler-virtual-form';
+
+// Attribute used to index the iframes embedded in a form
+const FRAME_INDEX_ATTRIBUTE = 'data-form-butler-frame';
+
 let isRequestPending = false;
 
+// Field to fill alone when the pending completion is ready, if any
+let pendingFillField = null;
+
+// Element on which the context menu was last opened
+let contextMenuTarget = null;
+
+// The answer draft being edited: the field, its form, the panel and the pending request
+let activeDraft = null;
+
+// Undo snapshots of the forms filled in this frame which are not stored in
+// formsData (i.e. parts of a form embedded from a parent frame), by form ID
+const frameUndoSnapshots = {};
+
+// Time after which the undo toast is dismissed, in milliseconds
+const UNDO_TOAST_DURATION = 10000;
+
+// Confidence below which filled fields are highlighted as uncertain
+const LOW_CONFIDENCE_LEVEL = 0.7;
+
+// Time left to the page to validate the filled fields, in milliseconds
+const VALIDATION_DELAY = 500;
+
+// Fields filled in this frame, watched for corrections by the user until the
+// form is submitted: the filled instruction and value, by element
+const watchedFields = new Map();
+
+// Maximum number of forms whose corrections are kept in chrome.storage.local
+const MAX_CORRECTED_FORMS = 200;
+
+// Types of the fields whose typed values may be saved to the profile
+const SUGGESTION_FIELD_TYPES = ['text', 'email', 'tel', 'number', 'date', 'url'];
+
+// Time during which the profile suggestions of a submitted form are offered,
+// on the same page or the next one, in milliseconds
+const PROFILE_SUGGESTIONS_LIFETIME = 5 * 60 * 1000;
+
+// Whether the values typed in submitted forms may be collected: the extension
+// is enabled, the user turned the suggestions on and the site is not disabled.
+// Loaded ahead, as it must be known synchronously when a form is submitted
+let profileSuggestionsAllowed = false;
+
+// Fields Form Butler never sends to the LLM nor fills, by category. A field
+// belongs to the first category whose autocomplete hint or text pattern
+// (matched against its name, id, placeholder and accessible name) it matches;
+// the checkable categories only apply to checkboxes and radio buttons
+const SENSITIVE_FIELD_RULES = [
+    { category: 'password', autocomplete: /\b(current|new)-password\b/, text: /\bpass(word|phrase|code)\b|\bpwd\b/i },
+    { category: 'otp', autocomplete: /\bone-time-code\b/, text: /\b(otp|totp|2fa|mfa)\b|one[- ]time (code|password|pin)|verification code|confirmation code|authenticat(ion|or) code|sms code/i },
+    { category: 'securityQuestion', text: /(security|secret|challenge) (question|answer)|maiden name|name of your first pet/i },
+    { category: 'captcha', text: /captcha|are you (a )?human|not a robot|characters (in|shown in) the image/i },
+    { category: 'newsletter', checkable: true, text: /newsletter|subscribe|mailing list|marketing|promotional|special offers|news and offers/i },
+    { category: 'terms', checkable: true, text: /\bterms\b|\bt&c|\btos\b|user agreement|\bi (accept|agree)\b/i },
+    { category: 'consent', checkable: true, text: /consent|privacy (policy|notice|statement)|gdpr|data protection|processing of (my )?personal data|share my (data|information)/i }
+];
+
+// Names of the sensitive field categories, as shown to the user
+const SENSITIVE_FIELD_LABELS = {
+    password: 'password',
+    otp: 'one-time code',
+    securityQuestion: 'security question',
+    captcha: 'captcha',
+    newsletter: 'newsletter opt-in',
+    terms: 'terms acceptance',
+    consent: 'consent'
+};
+
+// Policy of the categories the user can allow, from the settings: 'never' or 'allow'
+const sensitiveFieldPolicy = { consent: 'never', newsletter: 'never', terms: 'never' };
+
+// Ids of the fields of each form collected on this page and sent to the LLM
+// if the form is sent next, by form ID. They are never stored, as the ids
+// assigned by assignUniqueIdsToInputs may change on the next page load
+const collectedFieldIds = new Map();
+
+// Ids of the fields sent to the LLM by the pending form completion, by form ID
+const sentFieldIds = new Map();
+
+// Largest number of correction rounds, whatever the setting holds
+const MAX_CORRECTION_ROUNDS = 5;
+
+// Fields rejected by the page while a correction round is pending, by form
+// ID: reported once, after the last round
+const pendingRejections = new Map();
+
+// Time after which an unanswered review overlay is dismissed, in milliseconds
+const REVIEW_TIMEOUT = 2 * 60 * 1000;
+
+// Stylesheet of the overlays, loaded once and adopted by their shadow roots
+let overlayStyleSheet = null;
+
+// Elements holding the error messages sites show next to invalid fields
+const ERROR_MESSAGE_SELECTOR = '[role="alert"], [aria-live="assertive"], .invalid-feedback, [class*="error"], [class*="invalid"]';
+
 /**
 * Applies the animation to a filled field.
 * @param {HTMLElement} element - The input element to animate.
@@ -19,16 +121,65 @@ function animateFilledField(element) {
 }
 
 /**
-* Generates a unique identifier for the form.
+* Highlights a field filled with low confidence until the user edits it, with
+* a tooltip showing the confidence and the rationale of the LLM.
+* @param {HTMLElement} element - The filled element.
+* @param {Object} instruction - The fill instruction, with confidence and rationale.
+*/
+function highlightLowConfidenceField(element, instruction) {
+    const percentage = Math.round(instruction.confidence * 100);
+    const tooltip = `Form Butler: low confidence (${percentage}%)` + 
+    (instruction.rationale ? ` - ${instruction.rationale}` : '');
+    
+    if (!element.classList.contains('form-butler-low-confidence')) {
+        element.dataset.formButlerTitle = element.getAttribute('title') || '';
+    }
+    
+    element.classList.add('form-butler-low-confidence');
+    element.setAttribute('title', tooltip);
+    
+    // Clear the highlight once the user reviews the value
+    const clearHighlight = (event) => {
+        if (!event.isTrusted) return;
+        
+        element.classList.remove('form-butler-low-confidence');
+        if (element.dataset.formButlerTitle) {
+            element.setAttribute('title', element.dataset.formButlerTitle);
+        } else {
+            element.removeAttribute('title');
+        }
+        delete element.dataset.formButlerTitle;
+        
+        element.removeEventListener('input', clearHighlight);
+        element.removeEventListener('change', clearHighlight);
+    };
+    
+    element.addEventListener('input', clearHighlight);
+    element.addEventListener('change', clearHighlight);
+}
+
+/**
+* Returns an ID which is not used yet on the page, suffixing the base ID with
+* a counter if needed.
+* @param {string} baseId - The preferred ID.
+* @returns {string} The available ID.
+*/
+function getAvailableId(baseId) {
+    let id = baseId;
+    for (let counter = 2; getElementByIdDeep(id); counter++) {
+        id = `${baseId}_${counter}`;
+    }
+    return id;
+}
+
+/**
+* Generates an identifier for the form which stays the same across page
+* loads, based on its structural fingerprint.
 * @param {HTMLFormElement} form - The form element.
-* @param {number} index - The index of the form.
 * @returns {string} The generated form ID.
 */
-function generateFormId(form, index) {
-    let parentWithId = form.closest('[id]');
-    return parentWithId 
-    ? `${parentWithId.id}_form${index}`
-    : `form_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+function generateFormId(form) {
+    return getAvailableId(`form_${getFormFingerprint(form).fingerprint}`);
 }
 
 /**
@@ -36,311 +187,3185 @@ function generateFormId(form, index) {
 */
 function addIdToForms() {
     console.log('Adding IDs to forms without one');
-    document.querySelectorAll('form:not([id])').forEach((form, index) => {
-        form.id = generateFormId(form, index);
+    document.querySelectorAll('form:not([id])').forEach(form => {
+        form.id = generateFormId(form);
         console.log('Added ID to form:', form.id);
     });
 }
 
 /**
-* Assigns unique IDs to all input elements within forms.
+* Generates a simple, deterministic hash of a string (djb2).
+* @param {string} text - The string to hash.
+* @returns {string} The hash as a base-36 string.
 */
-function assignUniqueIdsToInputs() {
-    let uniqueId = 1;
-    document.querySelectorAll('form').forEach(form => {
-        form.querySelectorAll(INPUT_ELEMENT_TAGS).forEach(element => {
-            if (!element.id) {
-                element.id = `form-butler-${uniqueId}`;
-                uniqueId++;
-            }
-        });
-    });
+function hashString(text) {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+        hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(36);
 }
 
+// Minimum share of common fields for a stored form to match a changed form
+const FINGERPRINT_SIMILARITY_THRESHOLD = 0.7;
+
 /**
-* Collects form data, excluding hidden and filled fields, and simplifies the HTML.
-* @param {HTMLFormElement} form - The form element.
-* @returns {Object} An object containing the form ID, simplified HTML, and URL.
+* Describes a field by what does not change across page loads: tag, type,
+* name and accessible name, with numbers (often generated) masked.
+* @param {HTMLElement} element - The field element.
+* @returns {string} The field key.
 */
-function collectFormData(form) {
-    console.log('Collecting form data for form:', form.id);
-    const formClone = form.cloneNode(true);
+function getFieldKey(element) {
+    const normalize = text => compactText(text).toLowerCase().replace(/\d+/g, '#');
     
-    // Remove unnecessary elements
-    formClone
-    .querySelectorAll('input[type="hidden"], input[readonly], input[type="submit"], input[type="button"], input[type="reset"], button')
-    .forEach(el => el.remove());
+    return [
+        element.tagName.toLowerCase(),
+        element.tagName === 'INPUT' ? element.type : '',
+        normalize(element.getAttribute('name')),
+        normalize(getAccessibleName(element).name)
+    ].join(':');
+}
+
+/**
+* Computes the structural fingerprint of a form: a hash of the keys of its
+* fillable fields, which identifies the same form across page loads.
+* @param {HTMLElement} form - The form element.
+* @returns {{fingerprint: string, fieldKeys: Array<string>}} The fingerprint
+* and the field keys it is computed from.
+*/
+function getFormFingerprint(form) {
+    const fieldKeys = getFillableInputs(form).map(getFieldKey);
+    return { fingerprint: hashString(fieldKeys.join('|')), fieldKeys };
+}
+
+/**
+* Measures how similar two forms are, as the share of field keys they have in
+* common (Jaccard index).
+* @param {Array<string>} fieldKeys - The field keys of the first form.
+* @param {Array<string>} otherFieldKeys - The field keys of the second form.
+* @returns {number} The similarity, between 0 and 1.
+*/
+function getFingerprintSimilarity(fieldKeys, otherFieldKeys) {
+    const keys = new Set(fieldKeys);
+    const otherKeys = new Set(otherFieldKeys);
+    const union = new Set([...keys, ...otherKeys]);
+    const common = [...keys].filter(key => otherKeys.has(key));
     
-    // Remove non-empty fields
-    formClone.querySelectorAll(INPUT_ELEMENT_TAGS).forEach(el => {
-        if (el.value.trim() !== '') {
-            el.remove();
+    return union.size > 0 ? common.length / union.size : 0;
+}
+
+/**
+* Finds the stored record of a form on the same page: the record with the
+* same fingerprint, then with the same ID, then the most similar record if a
+* field was added or removed since it was stored.
+* @param {Array<Object>} formsData - The stored forms data.
+* @param {Object} formData - The collected form data.
+* @returns {Object|undefined} The stored form data, if any.
+*/
+function findStoredForm(formsData, formData) {
+    const pageForms = formsData.filter(form => form.url === formData.url);
+    
+    const exactMatch = pageForms.find(form => formData.fingerprint && form.fingerprint === formData.fingerprint) ||
+    pageForms.find(form => form.id === formData.id);
+    
+    if (exactMatch || !formData.fieldKeys) {
+        return exactMatch;
+    }
+    
+    let bestMatch;
+    let bestSimilarity = FINGERPRINT_SIMILARITY_THRESHOLD;
+    
+    pageForms.filter(form => form.fieldKeys).forEach(form => {
+        const similarity = getFingerprintSimilarity(formData.fieldKeys, form.fieldKeys);
+        if (similarity >= bestSimilarity) {
+            bestSimilarity = similarity;
+            bestMatch = form;
         }
     });
     
-    // Remove unwanted attributes
-    const allowedAttributes = ['id', 'placeholder', 'name', 'for', 'list', 'value', 'disabled', 'type', 'checked', 'max', 'min', 'multiple', 'pattern', 'inputmode', 'contenteditable'];
-    formClone.querySelectorAll('*').forEach(el => {
-        [...el.attributes].forEach(attr => {
-            if (!allowedAttributes.includes(attr.name)) {
-                el.removeAttribute(attr.name);
-            }
-        });
+    if (bestMatch) {
+        console.log('Stored form', bestMatch.id, 'matches form', formData.id, 'with similarity', bestSimilarity.toFixed(2));
+    }
+    
+    return bestMatch;
+}
+
+/**
+* Like querySelectorAll, but also searches inside open shadow roots.
+* @param {Element|Document|ShadowRoot} root - The root to search in.
+* @param {string} selector - The CSS selector to match.
+* @returns {Array<Element>} The matching elements.
+*/
+function deepQuerySelectorAll(root, selector) {
+    const results = [...root.querySelectorAll(selector)];
+    
+    [root, ...root.querySelectorAll('*')].forEach(el => {
+        if (el.shadowRoot) {
+            results.push(...deepQuerySelectorAll(el.shadowRoot, selector));
+        }
     });
     
-    // Remove formatting tags but keep text content
-    const formattingTags = ['span', 'font', 'i', 'strong', 'pre'];
-    formattingTags.forEach(tag => {
-        formClone.querySelectorAll(tag).forEach(el => {
-            el.replaceWith(el.textContent);
+    return results;
+}
+
+/**
+* Like querySelector, but also searches inside open shadow roots.
+* @param {Element|Document|ShadowRoot} root - The root to search in.
+* @param {string} selector - The CSS selector to match.
+* @returns {Element|null} The first matching element, or null.
+*/
+function deepQuerySelector(root, selector) {
+    return root.querySelector(selector) || deepQuerySelectorAll(root, selector)[0] || null;
+}
+
+/**
+* Retrieves an element by ID, also searching inside open shadow roots.
+* @param {string} id - The ID of the element.
+* @returns {HTMLElement|null} The element, or null if not found.
+*/
+function getElementByIdDeep(id) {
+    return document.getElementById(id) || deepQuerySelector(document, `#${CSS.escape(id)}`);
+}
+
+/**
+* Returns the parent of an element, crossing shadow root boundaries.
+* @param {Element} element - The element.
+* @returns {Element|null} The parent element or shadow host.
+*/
+function getComposedParent(element) {
+    return element.parentElement || element.getRootNode().host || null;
+}
+
+/**
+* Like Element.closest, but crossing shadow root boundaries.
+* @param {Element} element - The element to start from.
+* @param {string} selector - The CSS selector to match.
+* @returns {Element|null} The closest matching ancestor, or null.
+*/
+function closestDeep(element, selector) {
+    while (element) {
+        const match = element.closest(selector);
+        if (match) {
+            return match;
+        }
+        element = element.getRootNode().host;
+    }
+    return null;
+}
+
+/**
+* Clones an element with the content of its open shadow roots inlined, i.e.
+* following the composed (rendered) tree, so that fields of web components are
+* visible in the clone.
+* @param {Node} node - The node to clone.
+* @returns {Node} The cloned node or, for slots, a fragment with the slotted nodes.
+*/
+function cloneComposedTree(node) {
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+        return node.cloneNode(true);
+    }
+    
+    if (node.tagName === 'SLOT') {
+        const fragment = document.createDocumentFragment();
+        const assignedNodes = node.assignedNodes({ flatten: true });
+        const slotContent = assignedNodes.length > 0 ? assignedNodes : [...node.childNodes];
+        slotContent.forEach(child => fragment.appendChild(cloneComposedTree(child)));
+        return fragment;
+    }
+    
+    const clone = node.cloneNode(false);
+    const children = node.shadowRoot ? node.shadowRoot.childNodes : node.childNodes;
+    children.forEach(child => clone.appendChild(cloneComposedTree(child)));
+    
+    return clone;
+}
+
+/**
+* Returns the input elements of a container that the user could fill, i.e.
+* excluding hidden fields and buttons.
+* @param {HTMLElement} container - The element to search in.
+* @returns {Array<HTMLElement>} The fillable input elements.
+*/
+function getFillableInputs(container) {
+    return deepQuerySelectorAll(container, INPUT_ELEMENT_TAGS).filter(el => 
+        !['hidden', 'submit', 'button', 'reset', 'image'].includes(el.type) &&
+        el.getAttribute('contenteditable') !== 'false'
+    );
+}
+
+/**
+* Finds the element that logically groups an input living outside of a
+* <form>. Semantic containers (role="form", fieldset, dialog) are preferred;
+* otherwise the nearest ancestor grouping the input with other inputs is used,
+* without climbing into an ancestor that contains real forms.
+* @param {HTMLElement} element - The focused input element.
+* @returns {HTMLElement|null} The container element, or null if none is found.
+*/
+function findVirtualFormContainer(element) {
+    const semanticContainer = closestDeep(element, VIRTUAL_FORM_CONTAINERS);
+    if (semanticContainer) {
+        return semanticContainer;
+    }
+    
+    let container = getComposedParent(element);
+    while (container && container !== document.body && container !== document.documentElement) {
+        if (container.querySelector('form')) {
+            break;
+        }
+        
+        if (getFillableInputs(container).length > 1) {
+            return container;
+        }
+        
+        container = getComposedParent(container);
+    }
+    
+    // No grouping ancestor found: the input is a form on its own
+    const parent = getComposedParent(element);
+    return parent && parent !== document.body ? parent : null;
+}
+
+/**
+* Generates an identifier for a virtual form which stays the same across page
+* loads, based on its structural fingerprint.
+* @param {HTMLElement} container - The virtual form container.
+* @returns {string} The generated form ID.
+*/
+function generateVirtualFormId(container) {
+    return getAvailableId(`virtual_form_${getFormFingerprint(container).fingerprint}`);
+}
+
+/**
+* Promotes the logical container of an input outside of a <form> to a virtual
+* form: the container is marked and given an ID so that it can be collected,
+* stored and filled like a real form.
+* @param {HTMLElement} element - The focused input element.
+* @returns {HTMLElement|null} The virtual form element, or null if none is found.
+*/
+function getVirtualForm(element) {
+    const container = findVirtualFormContainer(element);
+    
+    if (!container) {
+        return null;
+    }
+    
+    if (!container.hasAttribute(VIRTUAL_FORM_ATTRIBUTE)) {
+        container.setAttribute(VIRTUAL_FORM_ATTRIBUTE, '');
+        if (!container.id) {
+            container.id = generateVirtualFormId(container);
+        }
+        console.log('Virtual form detected:', container.id);
+    }
+    
+    return container;
+}
+
+/**
+* Assigns unique IDs to all input elements within forms and virtual forms,
+* including the ones inside open shadow roots. The IDs are derived from the
+* field keys, so that they stay the same across page loads and the selectors
+* of stored fill instructions keep working.
+*/
+function assignUniqueIdsToInputs() {
+    deepQuerySelectorAll(document, `form, [${VIRTUAL_FORM_ATTRIBUTE}]`).forEach(form => {
+        deepQuerySelectorAll(form, `${INPUT_ELEMENT_TAGS}, ${WIDGET_ELEMENT_SELECTOR}`).forEach(element => {
+            if (!element.id) {
+                element.id = getAvailableId(`form-butler-${hashString(getFieldKey(element))}`);
+            }
         });
     });
+}
+
+/**
+* Indexes the iframes embedded in a form, so that their content can be
+* collected and filled by the content script running in each frame.
+* @param {HTMLElement} form - The form element.
+* @returns {Array<Object>} The frames, each with its index and URL.
+*/
+function getFormFrames(form) {
+    return deepQuerySelectorAll(form, 'iframe').map((iframe, index) => {
+        iframe.setAttribute(FRAME_INDEX_ATTRIBUTE, index);
+        return { index, url: iframe.src || 'about:blank' };
+    });
+}
+
+/**
+* Finds the custom dropdown widgets of a form.
+* @param {HTMLElement} form - The form element.
+* @returns {Array<{adapter: Object, root: HTMLElement}>} The widgets with their adapter.
+*/
+function getFormWidgets(form) {
+    const widgets = new Map();
     
-    // Remove divs with more than one input-related child and unwrap their content
-    formClone.querySelectorAll('div').forEach(div => {
-        const inputChildren = Array.from(div.children).filter(child => {
-            const childTagName = child.tagName.toLowerCase();
-            const isInputElement = INPUT_ELEMENT_TAGS.split(', ').includes(childTagName);
-            const isLabel = childTagName === 'label';
-            
-            return isInputElement || isLabel;
-        });
-        if (inputChildren.length === 1) {
-            // Replace the div with its child nodes
-            while (div.firstChild) {
-                div.parentNode.insertBefore(div.firstChild, div);
-            }
-            div.parentNode.removeChild(div);
+    deepQuerySelectorAll(form, `${INPUT_ELEMENT_TAGS}, ${WIDGET_ELEMENT_SELECTOR}`).forEach(element => {
+        const widget = getWidgetAdapter(element);
+        if (widget && widget.root.id && !widgets.has(widget.root)) {
+            widgets.set(widget.root, widget);
         }
     });
     
-    // Remove empty divs
-    formClone.querySelectorAll('div').forEach(div => {
-        if (div.children.length === 0) {
-            div.remove();
+    return [...widgets.values()];
+}
+
+/**
+* Replaces the custom dropdown widgets in a form clone with a plain element
+* the LLM can understand: a <select> listing the widget options when they are
+* known, a text input otherwise. Both carry a `widget` attribute with the
+* widget name. Widgets which already have a value are removed.
+* @param {Array<Object>} widgets - The form widgets, from getFormWidgets.
+* @param {HTMLElement} formClone - The clone of the form.
+*/
+function simplifyWidgets(widgets, formClone) {
+    widgets.forEach(({ adapter, root }) => {
+        const widgetClone = formClone.querySelector(`#${CSS.escape(root.id)}`);
+        if (!widgetClone) return;
+        
+        const value = adapter.getValue(root);
+        if (value && value.trim() !== '') {
+            widgetClone.remove();
+            return;
+        }
+        
+        const options = adapter.getOptions(root);
+        let replacement;
+        
+        if (options) {
+            replacement = document.createElement('select');
+            options.forEach(option => {
+                replacement.appendChild(new Option(option.text, option.value));
+            });
+        } else {
+            replacement = document.createElement('input');
+            replacement.type = 'text';
         }
+        
+        replacement.id = root.id;
+        replacement.setAttribute('widget', adapter.name);
+        widgetClone.replaceWith(replacement);
     });
     
-    // Remove divs that have only divs as direct children and unwrap their content
-    formClone.querySelectorAll('div').forEach(div => {
-        if ([...div.children].every(child => child.tagName.toLowerCase() === 'div')) {
-            while (div.firstChild) {
-                div.parentNode.insertBefore(div.firstChild, div);
-            }
-            div.parentNode.removeChild(div);
+    // Remove the elements rendered by the widgets, like their dropdown lists
+    widgets.forEach(({ adapter }) => {
+        if (adapter.noiseSelector) {
+            formClone.querySelectorAll(adapter.noiseSelector).forEach(el => el.remove());
         }
     });
+}
+
+// Maximum length of the accessible names and descriptions sent to the LLM
+const MAX_ACCESSIBLE_TEXT_LENGTH = 80;
+
+/**
+* Collapses the whitespace of a text and truncates it to a compact length.
+* @param {string} text - The text to compact.
+* @returns {string} The compacted text.
+*/
+function compactText(text) {
+    const collapsed = (text || '').replace(/\s+/g, ' ').trim();
+    return collapsed.length > MAX_ACCESSIBLE_TEXT_LENGTH 
+    ? collapsed.slice(0, MAX_ACCESSIBLE_TEXT_LENGTH - 1) + '…' 
+    : collapsed;
+}
+
+/**
+* Returns the text of the elements referenced by an ID list attribute
+* (aria-labelledby, aria-describedby), resolved in the element's own tree.
+* @param {HTMLElement} element - The element holding the attribute.
+* @param {string} attribute - The attribute name.
+* @returns {string} The joined text of the referenced elements.
+*/
+function getReferencedText(element, attribute) {
+    const root = element.getRootNode();
     
-    // Remove labels without a corresponding input or without input-related children
-    formClone.querySelectorAll('label').forEach(label => {
-        const forAttr = label.getAttribute('for');
-        let hasValidFor = false;
+    return (element.getAttribute(attribute) || '')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(id => {
+        const referenced = (root.getElementById && root.getElementById(id)) || getElementByIdDeep(id);
+        return referenced ? referenced.textContent : '';
+    })
+    .join(' ');
+}
+
+/**
+* Returns the text of a label without the text of the controls it wraps.
+* @param {HTMLLabelElement} label - The label element.
+* @returns {string} The label text.
+*/
+function getLabelText(label) {
+    const labelClone = label.cloneNode(true);
+    labelClone.querySelectorAll(`${INPUT_ELEMENT_TAGS}, option`).forEach(el => el.remove());
+    return labelClone.textContent;
+}
+
+/**
+* Looks for text preceding a control which likely describes it, for inputs
+* without any label. Up to two ancestor levels are searched.
+* @param {HTMLElement} element - The control element.
+* @returns {string} The nearby text, or an empty string.
+*/
+function getNearbyText(element) {
+    let current = element;
+    
+    for (let level = 0; level < 2 && current; level++) {
+        let sibling = current.previousSibling;
         
-        if (forAttr) {
-            const associatedElement = formClone.querySelector(`#${CSS.escape(forAttr)}`);
-            if (associatedElement && INPUT_ELEMENT_TAGS.split(', ').includes(associatedElement.tagName.toLowerCase())) {
-                hasValidFor = true;
-            }
+        while (sibling) {
+            const containsControl = sibling.nodeType === Node.ELEMENT_NODE && sibling.querySelector(INPUT_ELEMENT_TAGS);
+            const text = sibling.textContent.trim();
+            
+            if (containsControl) break;
+            if (text) return text;
+            
+            sibling = sibling.previousSibling;
         }
         
-        const hasInputChildren = label.querySelector(INPUT_ELEMENT_TAGS) !== null;
+        current = current.parentElement;
+    }
+    
+    return '';
+}
+
+/**
+* Computes the accessible name of a form control, i.e. what a screen reader
+* would announce, along with its source. A simplified version of the
+* accessible name computation: aria-labelledby, aria-label, associated labels,
+* the legend of a fieldset grouping only this control, title, and finally the
+* text preceding the control.
+* @param {HTMLElement} element - The control element.
+* @returns {{name: string, source: string}} The accessible name and its source.
+*/
+function getAccessibleName(element) {
+    const labelledBy = compactText(getReferencedText(element, 'aria-labelledby'));
+    if (labelledBy) return { name: labelledBy, source: 'aria-labelledby' };
+    
+    const ariaLabel = compactText(element.getAttribute('aria-label'));
+    if (ariaLabel) return { name: ariaLabel, source: 'aria-label' };
+    
+    const labelText = compactText([...(element.labels || [])].map(getLabelText).join(' '));
+    if (labelText) return { name: labelText, source: 'label' };
+    
+    const fieldset = element.closest('fieldset');
+    const legend = fieldset && fieldset.querySelector(':scope > legend');
+    if (legend && getFillableInputs(fieldset).length === 1) {
+        return { name: compactText(legend.textContent), source: 'legend' };
+    }
+    
+    const title = compactText(element.getAttribute('title'));
+    if (title) return { name: title, source: 'title' };
+    
+    return { name: compactText(getNearbyText(element)), source: 'text' };
+}
+
+/**
+* Computes the accessible description of a form control from aria-describedby,
+* falling back to the title when it is not already used as name.
+* @param {HTMLElement} element - The control element.
+* @param {string} nameSource - The source of the accessible name.
+* @returns {string} The accessible description.
+*/
+function getAccessibleDescription(element, nameSource) {
+    const describedBy = compactText(getReferencedText(element, 'aria-describedby'));
+    if (describedBy) return describedBy;
+    
+    return nameSource !== 'title' ? compactText(element.getAttribute('title')) : '';
+}
+
+/**
+* Attaches the accessible name and description of each control to its clone,
+* as aria-label and aria-description attributes. Names coming from <label>
+* elements are not repeated, as the labels are kept in the simplified HTML.
+* @param {HTMLElement} form - The form element.
+* @param {HTMLElement} formClone - The clone of the form.
+*/
+function annotateAccessibleNames(form, formClone) {
+    deepQuerySelectorAll(form, `${INPUT_ELEMENT_TAGS}, ${WIDGET_ELEMENT_SELECTOR}`).forEach(element => {
+        if (!element.id) return;
+        
+        const controlClone = formClone.querySelector(`#${CSS.escape(element.id)}`);
+        if (!controlClone) return;
+        
+        const { name, source } = getAccessibleName(element);
+        const description = getAccessibleDescription(element, source);
+        
+        controlClone.removeAttribute('aria-label');
+        if (name && source !== 'label' && name !== compactText(element.getAttribute('placeholder'))) {
+            controlClone.setAttribute('aria-label', name);
+        }
+        
+        if (description && description !== name) {
+            controlClone.setAttribute('aria-description', description);
+        }
+        
+        if (element.required || element.getAttribute('aria-required') === 'true') {
+            controlClone.setAttribute('required', '');
+        }
+    });
+}
+
+/**
+* Returns the section a field belongs to: the legend of its fieldset, or the
+* name of its enclosing group, region or section.
+* @param {HTMLElement} element - The field element.
+* @returns {string} The section name, or an empty string.
+*/
+function getFieldSection(element) {
+    const fieldset = closestDeep(element, 'fieldset');
+    const legend = fieldset && fieldset.querySelector(':scope > legend');
+    if (legend) {
+        return compactText(legend.textContent);
+    }
+    
+    const group = closestDeep(element, '[role="group"], [role="region"], section');
+    if (group) {
+        const heading = group.querySelector('h1, h2, h3, h4, h5, h6, [role="heading"]');
+        return compactText(
+            getReferencedText(group, 'aria-labelledby') ||
+            group.getAttribute('aria-label') ||
+            (heading ? heading.textContent : '')
+        );
+    }
+    
+    return '';
+}
+
+/**
+* Removes the properties of an object which carry no information (empty
+* strings, false, null, undefined, empty arrays and objects).
+* @param {Object} object - The object to compact.
+* @returns {Object} The compacted object.
+*/
+function removeEmptyProperties(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => 
+        value !== undefined && value !== null && value !== '' && value !== false &&
+        !(Array.isArray(value) && value.length === 0) &&
+        !(typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0)
+    ));
+}
+
+/**
+* Describes a form control for the field manifest: tag, type, accessible
+* name, placeholder, options, constraints and section.
+* @param {HTMLElement} control - The control (or widget root) element.
+* @param {Object|null} widget - The widget adapter match of the control, if any.
+* @returns {Object} The field description, without empty properties.
+*/
+function describeField(control, widget) {
+    const isCheckable = ['checkbox', 'radio'].includes(control.type);
+    
+    let options = null;
+    if (widget) {
+        options = widget.adapter.getOptions(control);
+    } else if (control.tagName === 'SELECT') {
+        options = [...control.options].map(option => ({ value: option.value, text: option.text.trim() }));
+    }
+    
+    return removeEmptyProperties({
+        id: control.id,
+        tag: control.tagName.toLowerCase(),
+        type: widget ? 'select' : (control.isContentEditable && !control.type ? 'contenteditable' : control.type),
+        widget: widget ? widget.adapter.name : '',
+        name: getAccessibleName(control).name,
+        placeholder: compactText(control.getAttribute('placeholder')),
+        value: isCheckable ? control.value : '',
+        options: options ? options.map(option => 
+            option.text && option.text !== option.value ? { value: option.value, text: option.text } : { value: option.value }
+        ) : null,
+        constraints: removeEmptyProperties({
+            required: control.required || control.getAttribute('aria-required') === 'true',
+            pattern: control.getAttribute('pattern'),
+            min: control.getAttribute('min'),
+            max: control.getAttribute('max'),
+            maxlength: control.maxLength > 0 ? control.maxLength : null,
+            inputmode: control.getAttribute('inputmode'),
+            autocomplete: ['on', 'off'].includes(control.getAttribute('autocomplete')) ? null : control.getAttribute('autocomplete'),
+            multiple: control.multiple,
+            accept: control.type === 'file' ? control.getAttribute('accept') : null
+        }),
+        section: getFieldSection(control)
+    });
+}
+
+/**
+* Classifies a field as sensitive from its type, autocomplete hint and text:
+* passwords, one-time codes, security questions and captchas, and the
+* consent, newsletter and terms checkboxes.
+* @param {HTMLElement} element - The form control.
+* @returns {string|null} The category (see SENSITIVE_FIELD_RULES), or null
+* if the field is not sensitive.
+*/
+function classifySensitiveField(element) {
+    if (element.type === 'password') {
+        return 'password';
+    }
+    
+    const autocomplete = (element.getAttribute('autocomplete') || '').toLowerCase();
+    const isCheckable = ['checkbox', 'radio'].includes(element.type);
+    const text = [
+        element.getAttribute('name'),
+        element.id,
+        element.getAttribute('placeholder'),
+        getAccessibleName(element).name
+    ].filter(Boolean).join(' ');
+    
+    const rule = SENSITIVE_FIELD_RULES.find(rule => 
+        (rule.autocomplete && rule.autocomplete.test(autocomplete)) ||
+        ((!rule.checkable || isCheckable) && rule.text.test(text))
+    );
+    
+    return rule ? rule.category : null;
+}
+
+/**
+* Checks whether a field is off-limits: sensitive, and not in a category the
+* user allowed Form Butler to fill.
+* @param {HTMLElement} element - The form control.
+* @returns {string|null} The category of the off-limits field, or null if
+* the field may be sent to the LLM and filled.
+*/
+function getOffLimitsCategory(element) {
+    const category = classifySensitiveField(element);
+    return category && sensitiveFieldPolicy[category] !== 'allow' ? category : null;
+}
+
+/**
+* Loads the policy of the sensitive field categories from the settings.
+* @returns {Promise<void>}
+*/
+async function loadSensitiveFieldPolicy() {
+    const settings = await chrome.storage.sync.get(['consentPolicy', 'newsletterPolicy', 'termsPolicy']);
+    
+    Object.keys(sensitiveFieldPolicy).forEach(category => {
+        sensitiveFieldPolicy[category] = settings[`${category}Policy`] || 'never';
+    });
+}
+
+/**
+* Builds a compact, structured list of the empty fields of a form, as an
+* alternative to the simplified HTML. The LLM references the fields by their
+* index, and the element IDs are used to map the indexes back to elements.
+* @param {HTMLElement} form - The form element.
+* @returns {Array<Object>} The field manifest.
+*/
+function collectFieldManifest(form) {
+    const fields = [];
+    const seenControls = new Set();
+    
+    deepQuerySelectorAll(form, `${INPUT_ELEMENT_TAGS}, ${WIDGET_ELEMENT_SELECTOR}`).forEach(element => {
+        const widget = getWidgetAdapter(element);
+        const control = widget ? widget.root : element;
+        
+        if (seenControls.has(control) || !control.id) return;
+        seenControls.add(control);
+        
+        if (['hidden', 'submit', 'button', 'reset', 'image'].includes(control.type) || 
+        control.readOnly || control.tagName === 'DATALIST') return;
+        
+        // Widgets are classified from their root, which carries their label
+        if (getOffLimitsCategory(control)) return;
+        
+        // Skip filled fields
+        const isCheckable = ['checkbox', 'radio'].includes(control.type);
+        const value = widget ? widget.adapter.getValue(control) : getFieldValue(control);
+        const isFilled = isCheckable ? control.checked 
+        : control.tagName === 'SELECT' && !widget ? control.selectedIndex > 0 
+        : value.trim() !== '';
+        if (isFilled) return;
+        
+        fields.push({ index: fields.length, ...describeField(control, widget) });
+    });
+    
+    return fields;
+}
+
+/**
+* Collects a single field with its surrounding context, for the single-field
+* fill mode: the page title, the form heading, the field section and the
+* names of the fields around it.
+* @param {HTMLElement} form - The form element.
+* @param {HTMLElement} element - The field element.
+* @returns {Object} The field description and its context.
+*/
+function collectFieldContext(form, element) {
+    const widget = getWidgetAdapter(element);
+    const control = widget ? widget.root : element;
+    
+    const inputs = getFillableInputs(form);
+    const position = inputs.indexOf(control);
+    const getNeighbourName = offset => {
+        const neighbour = position >= 0 ? inputs[position + offset] : null;
+        return neighbour ? getAccessibleName(neighbour).name : '';
+    };
+    
+    const heading = form.querySelector('h1, h2, h3, h4, h5, h6, legend, [role="heading"]');
+    
+    return {
+        field: describeField(control, widget),
+        context: removeEmptyProperties({
+            page: compactText(document.title),
+            form: compactText(form.getAttribute('aria-label') || (heading ? heading.textContent : '')),
+            previousField: getNeighbourName(-1),
+            nextField: getNeighbourName(1),
+            currentValue: widget ? widget.adapter.getValue(control) : compactText(getFieldValue(control))
+        })
+    };
+}
+
+// Words hinting at the category of a form, used to pick a profile automatically
+const FORM_CATEGORY_KEYWORDS = {
+    work: ['employer', 'job title', 'organization title', 'department', 'work email', 'work phone', 'work tel', 'vendor', 'supplier'],
+    travel: ['passport', 'flight', 'departure', 'arrival', 'check-in', 'check-out', 'traveler', 'traveller', 'passenger', 'frequent flyer', 'boarding', 'destination', 'itinerary', 'hotel', 'booking reference']
+};
+
+// Words also found in ordinary forms (e.g. the optional company and VAT
+// fields of a shop checkout): together they count as a single hint
+const FORM_CATEGORY_WEAK_KEYWORDS = {
+    work: ['company', 'organization', 'organisation', 'position', 'business', 'vat', 'tax id'],
+    travel: []
+};
+
+/**
+* Detects the category of a form (work, travel or personal) from the names,
+* autocomplete hints and heading of its fields, so that a profile can be
+* selected automatically. At least two different hints are needed, the weak
+* hints of a category counting as one at most: forms without enough hints
+* are personal.
+* @param {HTMLElement} form - The form element.
+* @returns {string} The category: 'work', 'travel' or 'personal'.
+*/
+function detectFormCategory(form) {
+    const heading = form.querySelector('h1, h2, h3, h4, h5, h6, legend, [role="heading"]');
+    const texts = [document.title, heading ? heading.textContent : ''];
+    
+    getFillableInputs(form).forEach(element => {
+        texts.push(getAccessibleName(element).name, element.getAttribute('name'), element.getAttribute('autocomplete'));
+    });
+    
+    const text = texts.filter(Boolean).join(' | ').toLowerCase().replace(/[_-]+/g, ' ');
+    
+    const countHints = keywords => keywords.filter(keyword => new RegExp(`\\b${keyword.replace('-', '[ -]?')}`).test(text)).length;
+    
+    const scores = Object.entries(FORM_CATEGORY_KEYWORDS).map(([category, keywords]) => [
+        category,
+        countHints(keywords) + Math.min(countHints(FORM_CATEGORY_WEAK_KEYWORDS[category]), 1)
+    ]);
+    
+    const [category, score] = scores.sort((a, b) => b[1] - a[1])[0];
+    
+    return score >= 2 ? category : 'personal';
+}
+
+/**
+* Retrieves the ids of the fields of a form stored instructions and templates
+* may target, filled or not: its fillable controls which are not off-limits,
+* custom widgets counting as a single field.
+* @param {HTMLElement} form - The form element.
+* @returns {Array<string>} The ids of the fields.
+*/
+function getFormFieldIds(form) {
+    const ids = new Set();
+    
+    getFillableInputs(form).forEach(element => {
+        if (element.matches('input[readonly]') || getWidgetAdapter(element) || getOffLimitsCategory(element)) return;
+        
+        if (element.id) {
+            ids.add(element.id);
+        }
+    });
+    
+    getFormWidgets(form).forEach(({ root }) => {
+        if (!getOffLimitsCategory(root)) {
+            ids.add(root.id);
+        }
+    });
+    
+    return [...ids];
+}
+
+/**
+* Collects form data, excluding hidden and filled fields, and simplifies the HTML.
+* The content of open shadow roots is inlined and embedded iframes are listed
+* so that the background script can collect them from their own frame.
+* @param {HTMLFormElement} form - The form element.
+* @returns {Object} An object containing the form ID, simplified HTML, field
+* manifest, URL, frames, fingerprint, category and the ids of the fields the
+* fill instructions may target.
+*/
+function collectFormData(form) {
+    console.log('Collecting form data for form:', form.id);
+    const frames = getFormFrames(form);
+    const widgets = getFormWidgets(form);
+    const formClone = cloneComposedTree(form);
+    
+    // Replace custom dropdowns with their options
+    simplifyWidgets(widgets, formClone);
+    
+    // Attach what a screen reader would announce for each control
+    annotateAccessibleNames(form, formClone);
+    
+    // Remove unnecessary elements
+    formClone
+    .querySelectorAll('input[type="hidden"], input[readonly], input[type="submit"], input[type="button"], input[type="reset"], button, style, script')
+    .forEach(el => el.remove());
+    
+    // Remove the fields Form Butler never fills (passwords, one-time codes, captchas...),
+    // the replacements of widgets having the id of their root
+    formClone.querySelectorAll(INPUT_ELEMENT_TAGS).forEach(el => {
+        const control = (el.id && deepQuerySelector(form, `#${CSS.escape(el.id)}`)) || el;
+        if (getOffLimitsCategory(control)) {
+            el.remove();
+        }
+    });
+    
+    // Remove filled fields (widgets have already been checked)
+    formClone.querySelectorAll(INPUT_ELEMENT_TAGS).forEach(el => {
+        if (el.hasAttribute('widget')) return;
+        
+        // Clones do not keep the selected options, so the state is read on the page
+        const control = (el.id && deepQuerySelector(form, `#${CSS.escape(el.id)}`)) || el;
+        const isFilled = ['checkbox', 'radio'].includes(control.type) ? control.checked 
+        : control.tagName === 'SELECT' ? control.selectedIndex > 0 
+        : getFieldValue(control).trim() !== '';
+        
+        if (isFilled) {
+            el.remove();
+        }
+    });
+    
+    // Remove unwanted attributes
+    const allowedAttributes = ['id', 'placeholder', 'name', 'for', 'list', 'value', 'disabled', 'type', 'checked', 'max', 'min', 'multiple', 'pattern', 'inputmode', 'contenteditable', 'widget', 'accept', FRAME_INDEX_ATTRIBUTE];
+    // Hints only meaningful on form controls
+    const controlAttributes = ['aria-label', 'aria-description', 'required', 'autocomplete', 'maxlength'];
+    formClone.querySelectorAll('*').forEach(el => {
+        const isControl = el.matches(INPUT_ELEMENT_TAGS);
+        
+        [...el.attributes].forEach(attr => {
+            const isAllowedControlAttribute = isControl && controlAttributes.includes(attr.name) &&
+            !(attr.name === 'autocomplete' && ['on', 'off'].includes(attr.value));
+            
+            if (!allowedAttributes.includes(attr.name) && !isAllowedControlAttribute) {
+                el.removeAttribute(attr.name);
+            }
+        });
+    });
+    
+    // Remove formatting tags but keep text content
+    const formattingTags = ['span', 'font', 'i', 'strong', 'pre'];
+    formattingTags.forEach(tag => {
+        formClone.querySelectorAll(tag).forEach(el => {
+            el.replaceWith(el.textContent);
+        });
+    });
+    
+    // Remove divs with more than one input-related child and unwrap their content
+    formClone.querySelectorAll('div').forEach(div => {
+        const inputChildren = Array.from(div.children).filter(child => {
+            const childTagName = child.tagName.toLowerCase();
+            const isInputElement = INPUT_ELEMENT_TAGS.split(', ').includes(childTagName);
+            const isLabel = childTagName === 'label';
+            
+            return isInputElement || isLabel;
+        });
+        if (inputChildren.length === 1) {
+            // Replace the div with its child nodes
+            while (div.firstChild) {
+                div.parentNode.insertBefore(div.firstChild, div);
+            }
+            div.parentNode.removeChild(div);
+        }
+    });
+    
+    // Remove empty divs
+    formClone.querySelectorAll('div').forEach(div => {
+        if (div.children.length === 0) {
+            div.remove();
+        }
+    });
+    
+    // Remove divs that have only divs as direct children and unwrap their content
+    formClone.querySelectorAll('div').forEach(div => {
+        if ([...div.children].every(child => child.tagName.toLowerCase() === 'div')) {
+            while (div.firstChild) {
+                div.parentNode.insertBefore(div.firstChild, div);
+            }
+            div.parentNode.removeChild(div);
+        }
+    });
+    
+    // Remove labels without a corresponding input or without input-related children
+    formClone.querySelectorAll('label').forEach(label => {
+        const forAttr = label.getAttribute('for');
+        let hasValidFor = false;
+        
+        if (forAttr) {
+            const associatedElement = formClone.querySelector(`#${CSS.escape(forAttr)}`);
+            if (associatedElement && INPUT_ELEMENT_TAGS.split(', ').includes(associatedElement.tagName.toLowerCase())) {
+                hasValidFor = true;
+            }
+        }
+        
+        const hasInputChildren = label.querySelector(INPUT_ELEMENT_TAGS) !== null;
+        
+        if (!hasValidFor && !hasInputChildren) {
+            label.remove();
+        }
+    });
+    
+    const formHtml = formClone.outerHTML;
+    
+    // Get the current page URL, without query string and fragment
+    const url = normalizeFormUrl(window.location.href);
+    
+    // Structured alternative to the HTML, the one sent depends on the user settings
+    const fields = collectFieldManifest(form);
+    
+    // Identifies the form across page loads, even if a field is added or removed
+    const { fingerprint, fieldKeys } = getFormFingerprint(form);
+    
+    // Used to select a profile automatically
+    const category = detectFormCategory(form);
+    
+    // The selectors returned by the LLM are checked against the fields sent,
+    // in the HTML or in the field list
+    const fieldIds = [...new Set([
+        ...[...formClone.querySelectorAll(`${INPUT_ELEMENT_TAGS}, [widget]`)].map(element => element.id),
+        ...fields.map(field => field.id)
+    ].filter(Boolean))];
+    
+    return { id: form.id, html: formHtml, fields: fields, url: url, frames: frames, fingerprint: fingerprint, fieldKeys: fieldKeys, category: category, fieldIds: fieldIds };
+}
+
+/**
+* Retrieves the form of the current frame when it is embedded in a form of a
+* parent frame. The first form of the document is used, falling back to the
+* virtual form of the first fillable input.
+* @returns {HTMLElement|null} The form element, or null if the frame has no fields.
+*/
+function getFrameForm() {
+    addIdToForms();
+    
+    let form = deepQuerySelector(document, 'form');
+    if (!form) {
+        const firstInput = getFillableInputs(document.body)[0];
+        form = firstInput ? getVirtualForm(firstInput) : null;
+    }
+    
+    if (!form) {
+        console.log('No form found in frame:', window.location.href);
+        return null;
+    }
+    
+    assignUniqueIdsToInputs();
+    
+    return form;
+}
+
+/**
+* Normalizes the URL under which forms are stored, so that the variants of a
+* page (query string, fragment, trailing slash) share their forms.
+* @param {string} url - The page URL.
+* @returns {string} The normalized URL: origin and path.
+*/
+function normalizeFormUrl(url) {
+    const { origin, pathname } = new URL(url);
+    
+    // Opaque origins (about:blank, data:) have no meaningful path
+    if (origin === 'null') {
+        return url.split(/[?#]/)[0];
+    }
+    
+    return origin + (pathname.replace(/\/+$/, '') || '/');
+}
+
+/**
+* Retrieves the formsData array from chrome.storage.local.
+* If formId or url is provided, it returns the specific form.
+* 
+* @param {string} [formId] - Optional ID of the form to retrieve.
+* @param {string} [url] - Optional URL of the form, defaults to current page.
+* @returns {Promise<Array|Object|null>} The array of forms data, specific form, or null if not found.
+*/
+async function getFormsData(formId = null, url = normalizeFormUrl(window.location.href)) {
+    const result = await chrome.storage.local.get('formsData');
+    const formsData = result.formsData || [];
+    
+    if (!formId && !url) {
+        return formsData;
+    }
+    
+    let filteredFormsData = formsData;
+    
+    if (formId || url) { // Updated condition to always filter by URL
+        filteredFormsData = formsData.filter(form => 
+            (!formId || form.id === formId) && // true if formId is not provided or if form.id is equal to formId
+            form.url === url // true if form.url is equal to url    
+        );
+    }
+    
+    if (formId) {
+        filteredFormsData = filteredFormsData.find(form => form.id === formId);
+    }
+    
+    return filteredFormsData;
+}
+
+/**
+* Retrieves the on which the user is currently focused
+* 
+* @returns {Promise<Array>} The array of forms data.
+*/
+async function getFocusedForm() {
+    const thisSiteForms = await getFormsData();
+    return thisSiteForms.find(form => form.focused);
+}
+
+/**
+* Sets the formsData array in chrome.storage.local.
+* @param {Array} data - The forms data array to store.
+* @returns {Promise<void>}
+*/
+async function setFormsData(data) {
+    await chrome.storage.local.set({ formsData: data });
+}
+
+/**
+* Merges new instructions with existing instructions. An instruction replaces
+* the one targeting the same field, even with another selector (e.g. #email
+* and input[name='email']), when the form is given.
+* 
+* @param {Array} existingInstructions - The existing instructions array.
+* @param {Array} newInstructions - The new instructions array to merge.
+* @param {HTMLElement} [form] - The form the instructions target.
+* @returns {Array} The merged instructions array.
+*/
+function mergeInstructions(existingInstructions, newInstructions, form = null) {
+    // The field an instruction targets: its widget or the first element of its group
+    const getTarget = instruction => {
+        if (!form || instruction.frame !== undefined) return null;
+        
+        let element;
+        try {
+            element = deepQuerySelector(form, instruction.selector);
+        } catch (error) {
+            return null;
+        }
+        
+        const widget = element && getWidgetAdapter(element);
+        return widget ? widget.root : element ? resolveFieldGroup(form, element)[0] : null;
+    };
+    
+    if (!existingInstructions) {
+        existingInstructions = newInstructions;
+    } else {
+        newInstructions.forEach(newInstruction => {
+            const target = getTarget(newInstruction);
+            const existingIndex = existingInstructions.findIndex(instruction => 
+                (instruction.selector === newInstruction.selector && instruction.frame === newInstruction.frame) ||
+                (target && getTarget(instruction) === target)
+            );
+            if (existingIndex !== -1) {
+                existingInstructions[existingIndex] = newInstruction;
+            } else {
+                existingInstructions.push(newInstruction);
+            }
+        });
+    }
+    
+    return existingInstructions;
+}
+
+/**
+* Applies the retention policy to the stored forms: forms not used for the
+* configured number of days are deleted, then the least recently used ones
+* beyond the maximum number of stored forms. The focused form is always kept.
+* @param {Array} formsData - The stored forms.
+* @returns {Promise<Array>} The forms to keep.
+*/
+async function pruneFormsData(formsData) {
+    const { formsRetentionDays = 90, maxStoredForms = 200 } = await chrome.storage.sync.get(['formsRetentionDays', 'maxStoredForms']);
+    const oldestUse = formsRetentionDays > 0 ? Date.now() - formsRetentionDays * 24 * 60 * 60 * 1000 : 0;
+    
+    // Forms stored before last uses were tracked count as used now
+    formsData.forEach(form => {
+        form.lastUsedAt = form.lastUsedAt || form.filledAt || Date.now();
+    });
+    
+    const keptForms = formsData
+    .filter(form => form.focused || (form.lastUsedAt || 0) >= oldestUse)
+    .sort((a, b) => Number(b.focused) - Number(a.focused) || (b.lastUsedAt || 0) - (a.lastUsedAt || 0))
+    .slice(0, Math.max(maxStoredForms, 1));
+    
+    if (keptForms.length < formsData.length) {
+        console.log('Pruned', formsData.length - keptForms.length, 'stored forms');
+    }
+    
+    return keptForms;
+}
+
+/**
+* Updates the formsData with a new or existing form.
+* @param {Object} newForm - The form data object to add or update.
+* @returns {Promise<void>}
+*/
+async function updateFormsData(newForm) {
+    let formsData = await getFormsData(null, null); // Get all forms
+    
+    // Set 'focused' flag to false for all forms
+    formsData.forEach(form => form.focused = false);
+    
+    // Check if the form is already in formsData based on its fingerprint, id and url
+    let existingForm = findStoredForm(formsData, newForm);
+    
+    if (existingForm) {
+        // Update existing form's data with newForm data
+        Object.assign(existingForm, newForm);
+        
+        // Set focused flag to true for the existing form
+        existingForm.focused = true;
+        existingForm.lastUsedAt = Date.now();
+    } else {
+        // Add new form data with focused and fulfilled flags
+        newForm.focused = true;
+        newForm.fulfilled = false;
+        newForm.lastUsedAt = Date.now();
+        formsData.push(newForm);
+    }
+    
+    await setFormsData(await pruneFormsData(formsData));
+}
+
+/**
+* Retrieves the hostname of the site the user is visiting: the one of the top
+* frame, also for embedded frames from other origins.
+* @returns {string} The hostname, empty for pages without one.
+*/
+function getSiteHostname() {
+    const origins = window.location.ancestorOrigins;
+    const url = origins && origins.length > 0 ? origins[origins.length - 1] : window.location.href;
+    
+    try {
+        return new URL(url).hostname;
+    } catch (error) {
+        return '';
+    }
+}
+
+/**
+* Retrieves the rule of the current site, evaluated before any form data is
+* collected.
+* @returns {Promise<Object>} The rule: mode ('default', 'auto', 'manual' or
+* 'disabled'), useStoredCompletion, profile, card and model.
+*/
+async function getSiteRule() {
+    const siteRulesManager = new SiteRulesManager();
+    await siteRulesManager.init();
+    return siteRulesManager.getRule(getSiteHostname());
+}
+
+/**
+* Retrieves the 'autoFill' setting from chrome.storage.sync.
+* @returns {Promise<boolean>} The autoFill setting.
+*/
+async function getAutoFillSetting() {
+    const result = await chrome.storage.sync.get('autoFill');
+    return result.autoFill || false;
+}
+
+/**
+* Waits for frameworks to process the dispatched events and re-render.
+* @returns {Promise<void>}
+*/
+function waitForRender() {
+    return new Promise(resolve => setTimeout(resolve, 50));
+}
+
+/**
+* Returns the current value of an input or contenteditable element.
+* @param {HTMLElement} element - The field element.
+* @returns {string} The field value.
+*/
+function getFieldValue(element) {
+    return element.isContentEditable ? element.textContent : (element.value ?? '');
+}
+
+/**
+* Sets a property using the native setter of the element prototype. Frameworks
+* like React shadow the value and checked setters on the instance to track
+* changes, and ignore the input events of values assigned directly.
+* @param {HTMLElement} element - The field element.
+* @param {string} property - The property to set ('value' or 'checked').
+* @param {*} value - The value to set.
+*/
+function setNativeProperty(element, property, value) {
+    const descriptor = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(element), property);
+    
+    if (descriptor && descriptor.set) {
+        descriptor.set.call(element, value);
+    } else {
+        element[property] = value;
+    }
+}
+
+/**
+* Simulates the user typing a value character by character, with the
+* keyboard and input events fired for each one. Used for inputs whose
+* framework state or input mask did not accept a value set at once.
+* @param {HTMLElement} element - The field element.
+* @param {string} value - The value to type.
+*/
+function simulateTyping(element, value) {
+    element.dispatchEvent(new FocusEvent('focus'));
+    
+    setNativeProperty(element, 'value', '');
+    element.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'deleteContentBackward' }));
+    
+    for (const char of value) {
+        const keyOptions = { key: char, bubbles: true, cancelable: true };
+        element.dispatchEvent(new KeyboardEvent('keydown', keyOptions));
+        element.dispatchEvent(new KeyboardEvent('keypress', keyOptions));
+        
+        // Append to the current value, which input masks may have reformatted
+        setNativeProperty(element, 'value', element.value + char);
+        element.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText', data: char }));
+        
+        element.dispatchEvent(new KeyboardEvent('keyup', keyOptions));
+    }
+    
+    element.dispatchEvent(new Event('change', { bubbles: true }));
+    element.dispatchEvent(new FocusEvent('blur'));
+}
+
+/**
+* Sets the value of a text-like field in a way frameworks (React, Vue, Angular)
+* pick up, then verifies that the value was kept after re-rendering, falling
+* back to a typing simulation if not.
+* @param {HTMLElement} element - The field element.
+* @param {string} value - The value to set.
+* @returns {Promise<boolean>} Whether the field kept a value.
+*/
+async function setFieldValue(element, value) {
+    value = String(value);
+    
+    element.dispatchEvent(new FocusEvent('focus'));
+    
+    if (element.isContentEditable) {
+        element.textContent = value;
+        element.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText', data: value }));
+    } else {
+        setNativeProperty(element, 'value', value);
+        element.dispatchEvent(new Event('input', { bubbles: true }));
+        element.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+    
+    element.dispatchEvent(new FocusEvent('blur'));
+    
+    await waitForRender();
+    
+    if (getFieldValue(element) === value) {
+        return true;
+    }
+    
+    if (element.isContentEditable) {
+        console.warn('Value not retained by field:', element.id);
+        return false;
+    }
+    
+    console.log('Value not retained by field, simulating typing:', element.id);
+    simulateTyping(element, value);
+    
+    await waitForRender();
+    
+    // Input masks may legitimately reformat the typed value
+    if (getFieldValue(element).trim() === '') {
+        console.warn('Value not retained by field after typing:', element.id);
+        return false;
+    }
+    
+    return true;
+}
+
+/**
+* Selects an option of a select element in a way frameworks pick up.
+* @param {HTMLSelectElement} element - The select element.
+* @param {string} value - The value of the option to select.
+* @returns {Promise<boolean>} Whether the option is selected.
+*/
+async function setSelectValue(element, value) {
+    value = String(value);
+    
+    // Fall back to the option best matching the value or the displayed text
+    if (![...element.options].some(option => option.value === value)) {
+        const options = [...element.options].map(option => ({ value: option.value, text: option.text }));
+        const bestOption = findBestOption(options, value);
+        if (bestOption) {
+            value = bestOption.value;
+        }
+    }
+    
+    setNativeProperty(element, 'value', value);
+    element.dispatchEvent(new Event('input', { bubbles: true }));
+    element.dispatchEvent(new Event('change', { bubbles: true }));
+    
+    await waitForRender();
+    
+    return element.value === value;
+}
+
+/**
+* Checks or unchecks a checkbox or radio button. A real click is used so that
+* the framework handlers run, falling back to the native setter when the click
+* is prevented.
+* @param {HTMLInputElement} element - The checkbox or radio element.
+* @param {boolean} checked - The desired checked state.
+* @returns {Promise<boolean>} Whether the element has the desired state.
+*/
+async function setFieldChecked(element, checked) {
+    if (element.checked !== checked) {
+        element.click();
+    }
+    
+    if (element.checked !== checked) {
+        setNativeProperty(element, 'checked', checked);
+        element.dispatchEvent(new Event('input', { bubbles: true }));
+        element.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+    
+    await waitForRender();
+    
+    return element.checked === checked;
+}
+
+/**
+* Loads a document of a profile, stored by the options page as a data URL
+* under its own key, next to the list of documents of each profile.
+* @param {string} profileName - The name of the profile.
+* @param {string} key - The key of the document.
+* @returns {Promise<File|null>} The document as a file, or null if the profile
+* has no such document.
+*/
+async function getProfileDocument(profileName, key) {
+    const { profileDocuments = {} } = await chrome.storage.local.get('profileDocuments');
+    const profileDocument = (profileDocuments[profileName] || []).find(candidate => candidate.key === key);
+    
+    if (!profileDocument) {
+        return null;
+    }
+    
+    const { [profileDocument.storageKey]: data } = await chrome.storage.local.get(profileDocument.storageKey);
+    
+    if (!data) {
+        return null;
+    }
+    
+    // The data URL is decoded here, as fetching it may be blocked by the page CSP
+    const bytes = Uint8Array.from(atob(data.split(',')[1]), char => char.charCodeAt(0));
+    
+    return new File([bytes], profileDocument.name, { type: profileDocument.type });
+}
+
+/**
+* Checks whether a file is one of the types a file field accepts.
+* @param {HTMLInputElement} element - The file field.
+* @param {File} file - The file.
+* @returns {boolean} True if the field has no accept attribute or accepts the file.
+*/
+function isFileAccepted(element, file) {
+    const accepted = (element.getAttribute('accept') || '').split(',').map(type => type.trim().toLowerCase()).filter(Boolean);
+    const name = file.name.toLowerCase();
+    const type = file.type.toLowerCase();
+    
+    return accepted.length === 0 || accepted.some(acceptedType => 
+        acceptedType.startsWith('.') ? name.endsWith(acceptedType)
+        : acceptedType.endsWith('/*') ? type.startsWith(acceptedType.slice(0, -1))
+        : type === acceptedType
+    );
+}
+
+/**
+* Sets the file of a file field: the value of a file field cannot be set,
+* so the file is attached through a DataTransfer, as a drop would do.
+* @param {HTMLInputElement} element - The file field.
+* @param {File} file - The file to attach.
+* @returns {Promise<boolean>} True if the field holds the file.
+*/
+async function setFileValue(element, file) {
+    const dataTransfer = new DataTransfer();
+    dataTransfer.items.add(file);
+    
+    element.dispatchEvent(new FocusEvent('focus'));
+    element.files = dataTransfer.files;
+    element.dispatchEvent(new Event('input', { bubbles: true }));
+    element.dispatchEvent(new Event('change', { bubbles: true }));
+    element.dispatchEvent(new FocusEvent('blur'));
+    
+    await waitForRender();
+    
+    return element.files.length > 0 && element.files[0].name === file.name;
+}
+
+/**
+* Captures the state of an element a fill is about to change, so that it can
+* be restored.
+* @param {HTMLElement} element - The element about to be filled.
+* @returns {Array<Object>} The state of the element (none for widgets which
+* cannot be restored): selector, value, checked, selected option values and
+* the HTML of contenteditable elements, whose formatting the value loses.
+*/
+function snapshotFieldState(element) {
+    // Widgets other than native fields cannot be restored
+    if (!element.matches(INPUT_ELEMENT_TAGS) || !element.id) {
+        return [];
+    }
+    
+    return [{
+        selector: `#${CSS.escape(element.id)}`,
+        value: getFieldValue(element),
+        checked: element.checked,
+        selectedValues: element.tagName === 'SELECT' ? [...element.selectedOptions].map(option => option.value) : undefined,
+        html: element.isContentEditable ? element.innerHTML : undefined
+    }];
+}
+
+/**
+* Restores the state of the elements captured before a fill, firing the
+* events frameworks listen to.
+* @param {HTMLElement} form - The form element.
+* @param {Array<Object>} snapshot - The captured states, from snapshotFieldState.
+* @returns {Promise<void>}
+*/
+async function restoreFieldStates(form, snapshot) {
+    // Restore checked radios last, so they are not unchecked by their group
+    const orderedSnapshot = [...snapshot].sort((a, b) => Number(a.checked === true) - Number(b.checked === true));
+    
+    for (const state of orderedSnapshot) {
+        const element = deepQuerySelector(form, state.selector);
+        if (!element) {
+            console.log('Field to restore not found:', state.selector);
+            continue;
+        }
+        
+        if (element.tagName === 'SELECT') {
+            [...element.options].forEach(option => {
+                option.selected = state.selectedValues.includes(option.value);
+            });
+            element.dispatchEvent(new Event('input', { bubbles: true }));
+            element.dispatchEvent(new Event('change', { bubbles: true }));
+        } else if (element.type === 'checkbox') {
+            await setFieldChecked(element, state.checked);
+        } else if (element.type === 'file') {
+            // Files chosen by the user cannot be stored, only the fill is removed
+            if (state.value === '' && element.files.length > 0) {
+                element.value = '';
+                element.dispatchEvent(new Event('input', { bubbles: true }));
+                element.dispatchEvent(new Event('change', { bubbles: true }));
+            }
+        } else if (element.type === 'radio') {
+            if (state.checked) {
+                await setFieldChecked(element, true);
+            } else if (element.checked) {
+                setNativeProperty(element, 'checked', false);
+                element.dispatchEvent(new Event('change', { bubbles: true }));
+            }
+        } else if (element.isContentEditable && state.html !== undefined) {
+            element.innerHTML = state.html;
+            element.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'historyUndo' }));
+        } else {
+            await setFieldValue(element, state.value);
+        }
+    }
+}
+
+/**
+* Stores the outcome of a fill in the formsData record of the form: the undo
+* snapshot and the result of each instruction. Forms which are not stored
+* (e.g. in embedded frames) keep their undo snapshot in memory.
+* @param {string} formId - The ID of the filled form.
+* @param {Array<Object>} snapshot - The captured states.
+* @param {Array<Object>} [results] - The outcome of each instruction, kept
+* unchanged if not given (e.g. for inserted drafts).
+* @param {boolean} [merge=false] - Whether the fill continues the previous one
+* (e.g. a correction round): the states captured by the previous fill and the
+* outcomes of the other fields are kept.
+* @returns {Promise<void>}
+*/
+async function saveFillOutcome(formId, snapshot, results = null, merge = false) {
+    const formData = await getFormsData(formId);
+    
+    if (merge) {
+        const previousSnapshot = (formData ? formData.undoSnapshot : frameUndoSnapshots[formId]) || [];
+        snapshot = [
+            ...previousSnapshot,
+            ...snapshot.filter(state => !previousSnapshot.some(captured => captured.selector === state.selector))
+        ];
+        
+        if (formData && results) {
+            const previousResults = (formData.fillResults || []).filter(result => !results.some(({ selector }) => selector === result.selector));
+            results = [...previousResults, ...results];
+        }
+    }
+    
+    if (!formData) {
+        if (snapshot.length > 0) {
+            frameUndoSnapshots[formId] = snapshot;
+        }
+        return;
+    }
+    
+    // Keep the previous snapshot if nothing changed, so that it can still be undone
+    if (snapshot.length > 0) {
+        formData.undoSnapshot = snapshot;
+        formData.filledAt = Date.now();
+    }
+    
+    if (results) {
+        formData.fillResults = results;
+    }
+    await updateFormsData(formData);
+}
+
+/**
+* Undoes the last fill of this frame, restoring the exact prior state of
+* every element it changed.
+* @returns {Promise<boolean>} Whether a fill was undone.
+*/
+async function undoLastFill() {
+    const lastFilledForm = (await getFormsData())
+    .filter(form => form.undoSnapshot)
+    .sort((a, b) => b.filledAt - a.filledAt)[0];
+    
+    let formId, snapshot;
+    
+    if (lastFilledForm) {
+        formId = lastFilledForm.id;
+        snapshot = lastFilledForm.undoSnapshot;
+        lastFilledForm.undoSnapshot = null;
+        await updateFormsData(lastFilledForm);
+    } else if (Object.keys(frameUndoSnapshots).length > 0) {
+        formId = Object.keys(frameUndoSnapshots).pop();
+        snapshot = frameUndoSnapshots[formId];
+        delete frameUndoSnapshots[formId];
+    } else {
+        console.log('No fill to undo');
+        return false;
+    }
+    
+    const form = getElementByIdDeep(formId);
+    if (!form) {
+        console.log('Form to undo not found:', formId);
+        return false;
+    }
+    
+    console.log('Undoing last fill of form:', formId);
+    unwatchFilledFields(form);
+    await restoreFieldStates(form, snapshot);
+    
+    return true;
+}
+
+/**
+* Shows a toast at the bottom of the page, replacing the previous one.
+* @param {string} message - The message to show.
+* @param {string} [actionLabel] - The label of the action button, if any.
+* @param {Function} [onAction] - Called when the action button is clicked.
+*/
+function showToast(message, actionLabel = null, onAction = null) {
+    document.querySelectorAll('.form-butler-toast').forEach(toast => toast.remove());
+    
+    const toast = document.createElement('div');
+    toast.className = 'form-butler-toast';
+    
+    const text = document.createElement('span');
+    text.textContent = message;
+    toast.appendChild(text);
+    
+    if (actionLabel) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'form-butler-toast-action';
+        button.textContent = actionLabel;
+        button.addEventListener('click', () => {
+            toast.remove();
+            onAction();
+        });
+        toast.appendChild(button);
+    }
+    
+    document.body.appendChild(toast);
+    setTimeout(() => toast.remove(), UNDO_TOAST_DURATION);
+}
+
+/**
+* Shows a toast confirming that a form was filled, with the profile used and
+* an action to undo it.
+* @param {string} [profileName] - The profile the form was filled with.
+* @param {string} [warning] - A warning appended to the message.
+*/
+function showUndoToast(profileName = null, warning = null) {
+    let message = profileName ? `Form filled by Form Butler with the "${profileName}" profile.` : 'Form filled by Form Butler.';
+    if (warning) {
+        message += ` ${warning}`;
+    }
+    
+    // Undo in every frame of the tab, as the form may span embedded frames
+    showToast(message, 'Undo', () => {
+        chrome.runtime.sendMessage({ action: 'undoFill' });
+    });
+}
+
+/**
+* Resolves the elements an instruction acts on: the whole group of radio
+* buttons or checkboxes sharing the name of the targeted one, the radio
+* buttons and checkboxes inside a targeted container, or the element itself.
+* @param {HTMLElement} form - The form element.
+* @param {HTMLElement} element - The element matched by the instruction selector.
+* @returns {Array<HTMLElement>} The elements of the group.
+*/
+function resolveFieldGroup(form, element) {
+    if (['radio', 'checkbox'].includes(element.type)) {
+        return element.name
+        ? deepQuerySelectorAll(form, `input[type="${element.type}"][name="${CSS.escape(element.name)}"]`)
+        : [element];
+    }
+    
+    if (!element.matches(INPUT_ELEMENT_TAGS) && !getWidgetAdapter(element)) {
+        const choices = deepQuerySelectorAll(element, 'input[type="radio"], input[type="checkbox"]');
+        if (choices.length > 0) {
+            return choices;
+        }
+    }
+    
+    return [element];
+}
+
+/**
+* Describes radio buttons or checkboxes as options, matched by value or label.
+* @param {Array<HTMLInputElement>} choices - The radio buttons or checkboxes.
+* @returns {Array<Object>} The options, each with value, text and element.
+*/
+function getChoiceOptions(choices) {
+    return choices.map(choice => ({ value: choice.value, text: getAccessibleName(choice).name, element: choice }));
+}
+
+/**
+* Interprets an instruction value as a boolean, for single checkboxes.
+* @param {*} value - The instruction value.
+* @returns {boolean|null} The boolean, or null if the value is not boolean-like.
+*/
+function parseBooleanValue(value) {
+    const normalized = String(value).trim().toLowerCase();
+    
+    if (['true', 'yes', 'on', 'checked', '1'].includes(normalized)) return true;
+    if (['false', 'no', 'off', 'unchecked', '0'].includes(normalized)) return false;
+    
+    return null;
+}
+
+/**
+* Checks the radio button of a group best matching a value, by value or label.
+* @param {Array<HTMLInputElement>} group - The radio buttons of the group.
+* @param {*} value - The instruction value.
+* @returns {Promise<HTMLElement|null>} The checked radio, or null if none matches.
+*/
+async function fillRadioGroup(group, value) {
+    const option = findBestOption(getChoiceOptions(group), Array.isArray(value) ? value[0] : value);
+    
+    if (!option) {
+        return null;
+    }
+    
+    return await setFieldChecked(option.element, true) ? option.element : null;
+}
+
+/**
+* Fills a checkbox or a group of checkboxes. Boolean values check or uncheck
+* the targeted checkbox; other values (or arrays of values) check the
+* checkboxes of the group matching them, by value or label, and uncheck the
+* others.
+* @param {Array<HTMLInputElement>} group - The checkboxes of the group.
+* @param {HTMLElement} target - The element matched by the instruction selector.
+* @param {*} value - The instruction value.
+* @returns {Promise<boolean>} Whether every checkbox has the desired state.
+*/
+async function fillCheckboxGroup(group, target, value) {
+    const booleanValue = Array.isArray(value) ? null : parseBooleanValue(value);
+    
+    if (booleanValue !== null) {
+        const checkbox = target.type === 'checkbox' ? target : group[0];
+        return setFieldChecked(checkbox, booleanValue);
+    }
+    
+    const options = getChoiceOptions(group);
+    const toCheck = new Set();
+    
+    for (const item of (Array.isArray(value) ? value : [value])) {
+        const option = findBestOption(options, item);
+        if (option) {
+            toCheck.add(option.element);
+        } else {
+            console.log('No checkbox matching value:', item);
+        }
+    }
+    
+    if (toCheck.size === 0) {
+        return false;
+    }
+    
+    let allSet = true;
+    for (const checkbox of group) {
+        allSet = await setFieldChecked(checkbox, toCheck.has(checkbox)) && allSet;
+    }
+    
+    return allSet;
+}
+
+/**
+* Selects the options of a multiple select matching a list of values, by value
+* or displayed text, and deselects the others.
+* @param {HTMLSelectElement} element - The select element.
+* @param {Array} values - The values to select.
+* @returns {Promise<boolean>} Whether every value matched an option.
+*/
+async function setSelectValues(element, values) {
+    const options = [...element.options].map(option => ({ value: option.value, text: option.text, element: option }));
+    const toSelect = values.map(value => findBestOption(options, value)).filter(Boolean);
+    
+    options.forEach(option => {
+        option.element.selected = toSelect.includes(option);
+    });
+    
+    element.dispatchEvent(new Event('input', { bubbles: true }));
+    element.dispatchEvent(new Event('change', { bubbles: true }));
+    
+    await waitForRender();
+    
+    return toSelect.length === values.length;
+}
+
+/**
+* Retrieves the ids and names a selector refers to, like "email" in
+* "#email" or "input[name='email']".
+* @param {string} selector - The CSS selector.
+* @returns {Array<string>} The ids and names.
+*/
+function getSelectorTokens(selector) {
+    const tokens = [...selector.matchAll(/#((?:\\.|[\w-])+)/g)].map(match => match[1].replace(/\\(.)/g, '$1'));
+    
+    [...selector.matchAll(/\[\s*(?:id|name)\s*[~|^$*]?=\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]+))\s*(?:[is]\s*)?\]/g)].forEach(match => {
+        tokens.push(match[1] ?? match[2] ?? match[3]);
+    });
+    
+    return tokens;
+}
+
+/**
+* Resolves the selector of a fill instruction to one of the fields sent to
+* the LLM. A selector matching several fields, or elements which are not
+* fields, is ambiguous: the field is then looked up by the id or name the
+* selector refers to. The radio buttons or checkboxes of a single group, and
+* a container of known choices, count as one field.
+* @param {HTMLElement} form - The form element.
+* @param {string} selector - The CSS selector returned by the LLM.
+* @param {Array<HTMLElement>} knownFields - The fields sent to the LLM.
+* @returns {{selector: (string|undefined), reason: (string|undefined)}} The
+* selector of the field, or the reason why it could not be resolved.
+*/
+function resolveSelector(form, selector, knownFields) {
+    const toField = element => {
+        const widget = getWidgetAdapter(element);
+        return widget ? widget.root : element;
+    };
+    const isSingleField = fields => {
+        if (fields.length === 0) return false;
+        
+        const group = resolveFieldGroup(form, fields[0]);
+        return fields.every(field => field === fields[0] || group.includes(field));
+    };
+    
+    let matches;
+    try {
+        matches = [...new Set(deepQuerySelectorAll(form, selector).map(toField))];
+    } catch (error) {
+        matches = [];
+    }
+    
+    // A container of radio buttons or checkboxes
+    if (matches.length === 1 && !knownFields.includes(matches[0])) {
+        const choices = resolveFieldGroup(form, matches[0]);
+        if (choices[0] !== matches[0] && choices.every(choice => knownFields.includes(choice))) {
+            return { selector: selector };
+        }
+    }
+    
+    let fields = matches.filter(element => knownFields.includes(element));
+    
+    if (fields.length === 0 || fields.length < matches.length || !isSingleField(fields)) {
+        const tokens = getSelectorTokens(selector);
+        const named = knownFields.filter(field => tokens.includes(field.id) || (field.name && tokens.includes(field.name)));
+        
+        if (isSingleField(named)) {
+            fields = named;
+        } else if (!isSingleField(fields)) {
+            return {
+                reason: fields.length > 1 ? `selector matches ${fields.length} fields`
+                : matches.length > 0 ? 'selector matches no field sent to the LLM'
+                : 'selector matches no element'
+            };
+        }
+    }
+    
+    return { selector: `#${CSS.escape(fields[0].id)}` };
+}
+
+/**
+* Checks the selectors of the fill instructions against the fields sent to
+* the LLM, as loose selectors may match other elements of the page (e.g.
+* input[name='email'] matching a newsletter box too). The selectors are
+* rewritten to the id of their field, assigned by assignUniqueIdsToInputs if
+* the page did not set one; the instructions which cannot be resolved get the
+* reason in their `rejected` property and are not filled.
+* @param {HTMLElement} form - The form element.
+* @param {Array} fillInstructions - The instructions on how to fill the form fields.
+* @param {Array<string>} fieldIds - The ids of the fields sent to the LLM.
+* @returns {Array} The instructions with resolved selectors.
+*/
+function resolveInstructionSelectors(form, fillInstructions, fieldIds) {
+    const knownFields = fieldIds.map(id => deepQuerySelector(form, `#${CSS.escape(id)}`)).filter(Boolean);
+    
+    return fillInstructions.map(instruction => {
+        if (instruction.frame !== undefined || !instruction.selector) return instruction;
+        
+        const { selector, reason } = resolveSelector(form, instruction.selector, knownFields);
+        
+        if (!selector) {
+            console.warn('Rejected selector:', instruction.selector, 'in form:', form.id, '-', reason);
+            return { ...instruction, rejected: reason };
+        }
+        
+        if (selector !== instruction.selector) {
+            console.log('Resolved selector:', instruction.selector, 'to:', selector);
+        }
+        
+        return { ...instruction, selector };
+    });
+}
+
+/**
+* Fills a single field following an instruction. The filling method depends on
+* the actual element (widget, select, checkbox or radio group, file, text), not
+* on the type returned by the LLM. File fields are filled with the document of
+* the profile the instruction refers to.
+* @param {HTMLElement} form - The form element.
+* @param {Object} field - The fill instruction.
+* @param {number} confidenceThreshold - The minimum confidence to fill the field.
+* @param {Array<Object>} undoSnapshot - The undo snapshot to add the prior state to.
+* @returns {Promise<{status: string, reason: (string|undefined)}>} The outcome:
+* 'filled', 'failed', 'not-found' or 'skipped', with the reason.
+*/
+async function fillField(form, field, confidenceThreshold, undoSnapshot) {
+    const input = deepQuerySelector(form, field.selector);
+    if (!input) {
+        console.log('Field not found:', field.selector, 'in form:', form.id);
+        return { status: 'not-found' };
+    }
+    
+    const hasValue = field.value !== undefined && field.value !== null && field.value !== '' &&
+    !(Array.isArray(field.value) && field.value.length === 0);
+    
+    if (!hasValue) {
+        console.log('No value provided for instruction:', field.selector, 'in form:', form.id);
+        return { status: 'skipped', reason: 'no value' };
+    }
+    
+    if (typeof field.confidence === 'number' && field.confidence < confidenceThreshold) {
+        console.log('Confidence below threshold for instruction:', field.selector, 'confidence:', field.confidence);
+        return { status: 'skipped', reason: 'low confidence' };
+    }
+    
+    const widget = getWidgetAdapter(input);
+    const group = widget ? [widget.root] : resolveFieldGroup(form, input);
+    
+    // Whatever the instructions say, off-limits fields are never filled
+    const offLimitsCategory = getOffLimitsCategory(widget ? widget.root : input.matches(INPUT_ELEMENT_TAGS) ? input : group[0]);
+    if (offLimitsCategory) {
+        console.log('Off-limits field not filled:', field.selector, 'category:', offLimitsCategory);
+        return { status: 'skipped', reason: `off-limits (${SENSITIVE_FIELD_LABELS[offLimitsCategory]})` };
+    }
+    const kind = widget ? 'widget' 
+    : input.type === 'file' ? 'file' 
+    : group[0].type === 'radio' ? 'radio' 
+    : group[0].type === 'checkbox' ? 'checkbox' 
+    : input.tagName === 'SELECT' ? 'select' 
+    : 'text';
+    
+    if (kind === 'text' && getFieldValue(input).trim() === String(field.value)) {
+        console.log('Field already filled:', field.selector, 'with value:', field.value);
+        return { status: 'skipped', reason: 'already filled' };
+    }
+    
+    let file = null;
+    
+    if (kind === 'file') {
+        if (field.source !== 'document') {
+            return { status: 'skipped', reason: 'not a document' };
+        }
+        
+        if ([...input.files].some(attached => attached.name === field.value)) {
+            console.log('File already attached:', field.selector, 'file:', field.value);
+            return { status: 'skipped', reason: 'already filled' };
+        }
+        
+        file = await getProfileDocument(field.profile, field.key);
+        
+        if (!file) {
+            console.warn('Document not found:', field.key, 'in profile:', field.profile);
+            return { status: 'failed', reason: 'document not found' };
+        }
+        
+        if (!isFileAccepted(input, file)) {
+            console.warn('Document type not accepted by field:', field.selector, 'type:', file.type);
+            return { status: 'failed', reason: 'document type not accepted' };
+        }
+    }
+    
+    console.log('Filling field:', field.selector, 'with value:', field.value);
+    
+    // Capture the prior state, once per element
+    group.forEach(element => {
+        snapshotFieldState(element).forEach(state => {
+            if (!undoSnapshot.some(captured => captured.selector === state.selector)) {
+                undoSnapshot.push(state);
+            }
+        });
+    });
+    
+    let filledElement = group[0];
+    let filled = false;
+    
+    switch(kind) {
+        case 'widget':
+        // Custom dropdown widgets are filled through their adapter
+        filled = await widget.adapter.fill(widget.root, field.value);
+        break;
+        case 'select':
+        filled = input.multiple 
+        ? await setSelectValues(input, Array.isArray(field.value) ? field.value : [field.value])
+        : await setSelectValue(input, Array.isArray(field.value) ? field.value[0] : field.value);
+        break;
+        case 'checkbox':
+        filledElement = input.type === 'checkbox' ? input : group[0];
+        filled = await fillCheckboxGroup(group, input, field.value);
+        break;
+        case 'radio':
+        filledElement = await fillRadioGroup(group, field.value);
+        filled = filledElement !== null;
+        break;
+        case 'file':
+        filled = await setFileValue(input, file);
+        break;
+        default:
+        filled = await setFieldValue(input, Array.isArray(field.value) ? field.value.join(', ') : field.value);
+    }
+    
+    if (!filled) {
+        console.warn('Could not fill field:', field.selector, 'in form:', form.id);
+        return { status: 'failed', reason: `value not accepted by ${kind}` };
+    }
+    
+    animateFilledField(filledElement);
+    
+    if (typeof field.confidence === 'number' && field.confidence < LOW_CONFIDENCE_LEVEL) {
+        highlightLowConfidenceField(filledElement, field);
+    }
+    
+    return { status: 'filled' };
+}
+
+/**
+* Fills the form fields with the provided instructions.
+* The prior state of the touched elements is saved, so that the fill can be
+* undone, along with the outcome of each instruction.
+* @param {string} formId - The ID of the form to fill.
+* @param {Array} fillInstructions - The instructions on how to fill the form fields.
+* @param {boolean} [isCorrection=false] - Whether the instructions correct
+* fields rejected by the page after a previous fill, which can still be undone
+* as a whole.
+* @returns {Promise<Array<Object>>} The outcome of each instruction: selector,
+* status ('filled', 'failed', 'not-found', 'skipped', 'rejected' when the
+* selector could not be resolved, or 'delegated' to an embedded frame) and
+* reason.
+*/
+async function fillFormFields(formId, fillInstructions, isCorrection = false) {
+    const form = getElementByIdDeep(formId);
+    
+    if (!form) {
+        console.log('Form not found for form id:', formId);
+        return [];
+    }
+    
+    const undoSnapshot = [];
+    const results = [];
+    const settings = await chrome.storage.sync.get('confidenceThreshold');
+    const confidenceThreshold = Math.min(Math.max(Number(settings.confidenceThreshold) || 0, 0), 1);
+    
+    console.log('Filling form fields for form:', formId);
+    
+    // Instructions for fields in embedded frames are filled by their own frame
+    const frameInstructions = fillInstructions.filter(field => field.frame !== undefined);
+    if (frameInstructions.length > 0) {
+        const formData = await getFormsData(formId);
+        chrome.runtime.sendMessage({
+            action: 'fillFrameForms',
+            frames: formData ? formData.frames : getFormFrames(form),
+            fillInstructions: frameInstructions
+        });
+    }
+    
+    for (const field of fillInstructions) {
+        const outcome = field.frame !== undefined ? { status: 'delegated' }
+        : field.rejected ? { status: 'rejected', reason: field.rejected }
+        : await fillField(form, field, confidenceThreshold, undoSnapshot);
+        
+        if (outcome.status === 'filled') {
+            watchFilledField(form, field);
+        }
+        
+        results.push({ selector: field.selector, ...outcome });
+    }
+    
+    await saveFillOutcome(formId, undoSnapshot, results, isCorrection);
+    
+    return results;
+}
+
+/**
+* Retrieves the review preferences of the current site from
+* chrome.storage.local: whether the review is skipped on the site, and the
+* fields unticked on the form with the given fingerprint.
+* @param {string} [fingerprint] - The fingerprint of the reviewed form.
+* @returns {Promise<Object>} The preferences: skipReview and excludedSelectors.
+*/
+async function getSiteReviewPreferences(fingerprint = null) {
+    const { reviewPreferences = {} } = await chrome.storage.local.get('reviewPreferences');
+    const { skipReview = false, forms = {} } = reviewPreferences[window.location.hostname] || {};
+    
+    return { skipReview, excludedSelectors: (fingerprint && forms[fingerprint]) || [] };
+}
+
+/**
+* Stores the review preferences of the current site in chrome.storage.local,
+* the unticked fields being kept by form fingerprint.
+* @param {string} [fingerprint] - The fingerprint of the reviewed form.
+* @param {Object} preferences - The preferences: skipReview and excludedSelectors.
+* @returns {Promise<void>}
+*/
+async function setSiteReviewPreferences(fingerprint, preferences) {
+    const { reviewPreferences = {} } = await chrome.storage.local.get('reviewPreferences');
+    const sitePreferences = reviewPreferences[window.location.hostname] || { forms: {} };
+    
+    sitePreferences.skipReview = preferences.skipReview;
+    
+    if (fingerprint) {
+        sitePreferences.forms[fingerprint] = preferences.excludedSelectors;
+    }
+    
+    reviewPreferences[window.location.hostname] = sitePreferences;
+    await chrome.storage.local.set({ reviewPreferences });
+}
+
+/**
+* Creates the host element of an overlay of the extension, attached to the
+* page body with a closed shadow root, so that page scripts cannot read the
+* values it shows. The stylesheet of the extension, read by the background
+* script so that it is not exposed to pages, is adopted by the root.
+* @returns {Promise<{host: HTMLElement, root: ShadowRoot}>} The host element
+* and its shadow root, to add the overlay to.
+*/
+async function createOverlayHost() {
+    if (!overlayStyleSheet) {
+        const styles = await chrome.runtime.sendMessage({ action: 'getOverlayStyles' });
+        overlayStyleSheet = new CSSStyleSheet();
+        overlayStyleSheet.replaceSync(styles || '');
+    }
+    
+    const host = document.createElement('div');
+    host.className = 'form-butler-overlay-host';
+    
+    const root = host.attachShadow({ mode: 'closed' });
+    root.adoptedStyleSheets = [overlayStyleSheet];
+    
+    document.body.appendChild(host);
+    
+    return { host, root };
+}
+
+/**
+* Masks a sensitive value, showing only its last four characters.
+* @param {*} value - The value to mask.
+* @returns {string} The masked value.
+*/
+function maskValue(value) {
+    const text = String(value ?? '');
+    return text.length > 4 ? `•••• ${text.slice(-4)}` : '••••';
+}
+
+/**
+* Returns a human readable label for the field targeted by an instruction.
+* @param {HTMLElement} form - The form element.
+* @param {Object} instruction - The fill instruction.
+* @returns {string} The field label.
+*/
+function getInstructionLabel(form, instruction) {
+    const element = instruction.frame === undefined ? deepQuerySelector(form, instruction.selector) : null;
+    
+    if (!element) {
+        return instruction.selector;
+    }
+    
+    return getAccessibleName(element).name || element.getAttribute('placeholder') || element.name || instruction.selector;
+}
+
+/**
+* Shows an overlay anchored on the form listing the proposed values, letting
+* the user untick or edit each of them before they are written. Card values
+* are masked and can only be unticked. The unticked fields are remembered
+* for the form, and the choice to skip the review for the site. The overlay
+* is dismissed with Escape, or after REVIEW_TIMEOUT without an answer.
+* @param {HTMLElement} form - The form element.
+* @param {Array} fillInstructions - The proposed fill instructions.
+* @param {string} [profileName] - The profile the values come from, shown in the header.
+* @param {string} [fingerprint] - The fingerprint of the form.
+* @returns {Promise<Array|null>} The approved instructions, or null if
+* cancelled or dismissed.
+*/
+async function reviewFillInstructions(form, fillInstructions, profileName = null, fingerprint = null) {
+    const preferences = await getSiteReviewPreferences(fingerprint);
+    const { host, root } = await createOverlayHost();
+    
+    return new Promise(resolve => {
+        const overlay = document.createElement('div');
+        overlay.className = 'form-butler-review';
+        overlay.innerHTML = `
+            <div class="form-butler-review-header">Form Butler: review the values to fill</div>
+            <ul class="form-butler-review-list"></ul>
+            <label class="form-butler-review-remember">
+                <input type="checkbox" class="form-butler-review-skip"> Don't ask again on this site
+            </label>
+            <div class="form-butler-review-actions">
+                <button type="button" class="form-butler-review-cancel">Cancel</button>
+                <button type="button" class="form-butler-review-apply">Fill</button>
+            </div>
+        `;
+        
+        if (profileName) {
+            overlay.querySelector('.form-butler-review-header').textContent += ` (profile "${profileName}")`;
+        }
+        
+        const list = overlay.querySelector('.form-butler-review-list');
+        
+        fillInstructions.forEach((instruction, index) => {
+            const isCard = instruction.source === 'card';
+            const item = document.createElement('li');
+            
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = !preferences.excludedSelectors.includes(instruction.selector);
+            checkbox.dataset.index = index;
+            
+            const label = document.createElement('span');
+            label.className = 'form-butler-review-label';
+            label.textContent = getInstructionLabel(form, instruction);
+            
+            if (typeof instruction.confidence === 'number' && instruction.confidence < LOW_CONFIDENCE_LEVEL) {
+                label.classList.add('form-butler-review-uncertain');
+                label.title = `Low confidence (${Math.round(instruction.confidence * 100)}%)` +
+                (instruction.rationale ? `: ${instruction.rationale}` : '');
+            }
+            
+            const valueInput = document.createElement('input');
+            valueInput.type = 'text';
+            valueInput.className = 'form-butler-review-value';
+            // Multiple values (checkbox groups, multiple selects) are edited as a list
+            valueInput.value = isCard ? maskValue(instruction.value) 
+            : Array.isArray(instruction.value) ? instruction.value.join(', ') 
+            : String(instruction.value ?? '');
+            // Documents are picked by the LLM, only their file name is shown
+            valueInput.disabled = isCard || instruction.source === 'document';
+            valueInput.dataset.index = index;
+            
+            item.append(checkbox, label, valueInput);
+            list.appendChild(item);
+        });
+        
+        // Anchor the overlay on the top right corner of the form, within the viewport
+        const rect = form.getBoundingClientRect();
+        overlay.style.top = `${Math.max(rect.top, 0) + window.scrollY}px`;
+        overlay.style.left = `${Math.max(Math.min(rect.right + 8, window.innerWidth - 380), 0) + window.scrollX}px`;
+        
+        let closed = false;
+        
+        const close = async (approved) => {
+            if (closed) return;
+            closed = true;
+            
+            host.remove();
+            clearTimeout(timeout);
+            document.removeEventListener('keydown', onKeydown, true);
+            
+            if (approved) {
+                const excludedSelectors = [];
+                const approvedInstructions = [];
+                
+                list.querySelectorAll('li').forEach(item => {
+                    const checkbox = item.querySelector('input[type="checkbox"]');
+                    const valueInput = item.querySelector('.form-butler-review-value');
+                    const instruction = fillInstructions[checkbox.dataset.index];
+                    
+                    if (!checkbox.checked) {
+                        excludedSelectors.push(instruction.selector);
+                        return;
+                    }
+                    
+                    const value = Array.isArray(instruction.value) 
+                    ? valueInput.value.split(',').map(item => item.trim()).filter(Boolean) 
+                    : valueInput.value;
+                    
+                    approvedInstructions.push(
+                        valueInput.disabled ? instruction : { ...instruction, value }
+                    );
+                });
+                
+                await setSiteReviewPreferences(fingerprint, {
+                    skipReview: overlay.querySelector('.form-butler-review-skip').checked,
+                    excludedSelectors
+                });
+                
+                resolve(approvedInstructions);
+            } else {
+                resolve(null);
+            }
+        };
+        
+        // An ignored overlay must not block the next fills
+        const onKeydown = (event) => {
+            if (event.key === 'Escape') {
+                close(false);
+            }
+        };
+        const timeout = setTimeout(() => {
+            console.log('Review dismissed after', REVIEW_TIMEOUT, 'ms without an answer');
+            close(false);
+        }, REVIEW_TIMEOUT);
+        
+        document.addEventListener('keydown', onKeydown, true);
+        
+        overlay.querySelector('.form-butler-review-apply').addEventListener('click', () => close(true));
+        overlay.querySelector('.form-butler-review-cancel').addEventListener('click', () => close(false));
+        
+        root.appendChild(overlay);
+        overlay.querySelector('.form-butler-review-apply').focus();
+    });
+}
+
+/**
+* Keeps the instructions targeting a field: the field itself, its radio or
+* checkbox group, or the widget it belongs to.
+* @param {HTMLElement} form - The form element.
+* @param {Array} fillInstructions - The instructions on how to fill the form fields.
+* @param {HTMLElement} field - The field to fill.
+* @returns {Array} The instructions targeting the field.
+*/
+function filterInstructionsForField(form, fillInstructions, field) {
+    const widget = getWidgetAdapter(field);
+    
+    return fillInstructions.filter(instruction => {
+        if (instruction.frame !== undefined || instruction.rejected) return false;
+        
+        const element = deepQuerySelector(form, instruction.selector);
+        if (!element) return false;
+        
+        return element === field ||
+        (widget && widget.root === element) ||
+        resolveFieldGroup(form, element).includes(field);
+    });
+}
+
+/**
+* Fills a form with the given instructions, showing the review overlay first
+* if the user enabled it and did not skip it for the current site.
+* @param {string} formId - The ID of the form to fill.
+* @param {Array} fillInstructions - The instructions on how to fill the form fields.
+* @param {HTMLElement} [field] - The field to fill alone, if any.
+* @param {string} [profileName] - The profile the values come from, shown to the user.
+* @param {number} [correctionRound=0] - The correction round the instructions
+* come from, 0 for a regular fill.
+* @returns {Promise<void>}
+*/
+async function applyFillInstructions(formId, fillInstructions, field = null, profileName = null, correctionRound = 0) {
+    const { reviewBeforeFill = false } = await chrome.storage.sync.get('reviewBeforeFill');
+    const form = getElementByIdDeep(formId);
+    const formData = form ? await getFormsData(formId) : null;
+    
+    // The instructions of the LLM target the fields sent by the request,
+    // stored instructions and corrections any field of the form
+    const fieldIds = correctionRound === 0 ? sentFieldIds.get(formId) : null;
+    sentFieldIds.delete(formId);
+    
+    if (form) {
+        fillInstructions = resolveInstructionSelectors(form, fillInstructions, fieldIds || getFormFieldIds(form));
+    }
+    
+    if (form && field) {
+        fillInstructions = filterInstructionsForField(form, fillInstructions, field);
+        console.log('Filling only field:', field.id, 'with', fillInstructions.length, 'instructions');
+    }
+    
+    if (form) {
+        fillInstructions = formatFillInstructions(form, fillInstructions);
+    }
+    
+    // Do not fill again the values the user corrected on this form
+    if (form && formData && formData.fingerprint) {
+        fillInstructions = await applyUserCorrections(form, formData.fingerprint, fillInstructions);
+    }
+    
+    // Rejected instructions are not shown for review, only recorded
+    const rejected = fillInstructions.filter(instruction => instruction.rejected);
+    
+    if (reviewBeforeFill && form && fillInstructions.length > rejected.length) {
+        const fingerprint = formData ? formData.fingerprint : null;
+        const { skipReview } = await getSiteReviewPreferences(fingerprint);
+        
+        if (!skipReview) {
+            const approved = await reviewFillInstructions(form, fillInstructions.filter(instruction => !instruction.rejected), profileName, fingerprint);
+            
+            if (!approved) {
+                console.log('Fill cancelled by the user for form:', formId);
+                
+                // The fields left rejected by the previous rounds stay rejected
+                const pending = pendingRejections.get(formId) || [];
+                pendingRejections.delete(formId);
+                
+                if (correctionRound > 0 && pending.length > 0) {
+                    await reportRejectedFields(formId, pending, profileName);
+                }
+                return;
+            }
+            
+            fillInstructions = [...approved, ...rejected];
+        }
+    }
+    
+    const results = await fillFormFields(formId, fillInstructions, correctionRound > 0);
+    
+    if (correctionRound === 0 && results.some(result => ['filled', 'delegated'].includes(result.status))) {
+        showUndoToast(profileName);
+    }
+    
+    // Check that the page accepts the values, asking the LLM to correct the rejected ones
+    await verifyFilledFields(formId, fillInstructions, results, profileName, correctionRound);
+}
+
+/**
+* Retrieves the reason why the page rejects the value of a field: the
+* browser validation message, or the error message the site shows next to
+* the field (referenced by aria-errormessage or aria-describedby, or found in
+* its container).
+* @param {HTMLElement} form - The form element.
+* @param {HTMLElement} element - The filled element.
+* @returns {string|null} The error message, or null if the value is accepted.
+*/
+function getFieldValidationError(form, element) {
+    if (element.validity && !element.validity.valid) {
+        return element.validationMessage || 'Invalid value';
+    }
+    
+    const isInvalid = element.getAttribute('aria-invalid') === 'true';
+    
+    const referencedError = compactText(
+        getReferencedText(element, 'aria-errormessage') ||
+        (isInvalid ? getReferencedText(element, 'aria-describedby') : '')
+    );
+    if (isInvalid && referencedError) {
+        return referencedError;
+    }
+    
+    // The container of the field, up to the element also holding other fields
+    let container = null;
+    for (let parent = getComposedParent(element), depth = 0; parent && parent !== form && depth < 3; parent = getComposedParent(parent), depth++) {
+        if (getFillableInputs(parent).length > 1) break;
+        container = parent;
+    }
+    
+    const errorMessage = container && [...container.querySelectorAll(ERROR_MESSAGE_SELECTOR)].find(candidate =>
+        candidate !== element &&
+        !candidate.matches(INPUT_ELEMENT_TAGS) &&
+        !candidate.querySelector(INPUT_ELEMENT_TAGS) &&
+        candidate.getClientRects().length > 0 &&
+        candidate.textContent.trim() !== ''
+    );
+    
+    if (errorMessage) {
+        return compactText(errorMessage.textContent);
+    }
+    
+    return isInvalid ? 'Invalid value' : null;
+}
+
+/**
+* Records the fields the page still rejects as invalid in the fill outcome
+* of the form, and warns the user.
+* @param {string} formId - The ID of the filled form.
+* @param {Array<Object>} rejected - The rejected fields: selector and error.
+* @param {string} [profileName] - The profile the form was filled with.
+* @returns {Promise<void>}
+*/
+async function reportRejectedFields(formId, rejected, profileName = null) {
+    await saveFillOutcome(formId, [], rejected.map(({ selector, error }) => ({ selector, status: 'invalid', reason: error })), true);
+    
+    showUndoToast(profileName, `${rejected.length} field(s) were rejected by the page, check them before submitting.`);
+}
+
+/**
+* Checks the fields filled by a fill once the page had time to validate
+* them. The rejected fields are sent back to the LLM to be corrected, up to
+* the configured number of correction rounds; the ones still rejected after
+* the last round, and the ones the LLM could not correct in the previous
+* rounds, are recorded as invalid and reported to the user once.
+* @param {string} formId - The ID of the filled form.
+* @param {Array} fillInstructions - The applied instructions.
+* @param {Array<Object>} results - The outcome of each instruction.
+* @param {string} [profileName] - The profile the values come from.
+* @param {number} [correctionRound=0] - The correction round of the fill.
+* @returns {Promise<void>}
+*/
+async function verifyFilledFields(formId, fillInstructions, results, profileName = null, correctionRound = 0) {
+    const form = getElementByIdDeep(formId);
+    const toRejected = failure => ({ selector: failure.instruction.selector, error: failure.error });
+    
+    // The fields left rejected by the previous rounds
+    const rejected = pendingRejections.get(formId) || [];
+    pendingRejections.delete(formId);
+    
+    if (!form || !results.some(result => result.status === 'filled')) {
+        if (rejected.length > 0) {
+            await reportRejectedFields(formId, rejected, profileName);
+        }
+        return;
+    }
+    
+    await new Promise(resolve => setTimeout(resolve, VALIDATION_DELAY));
+    
+    const failures = [];
+    
+    fillInstructions.forEach((instruction, index) => {
+        if (results[index].status !== 'filled') return;
+        
+        const element = deepQuerySelector(form, instruction.selector);
+        if (!element) return;
+        
+        const widget = getWidgetAdapter(element);
+        const control = widget ? widget.root : element;
+        const error = getFieldValidationError(form, control);
+        
+        if (error) {
+            failures.push({ instruction, control, widget, error });
+        }
+    });
+    
+    if (failures.length === 0) {
+        if (correctionRound > 0) {
+            console.log('All corrected fields accepted by the page for form:', formId);
+        }
+        if (rejected.length > 0) {
+            await reportRejectedFields(formId, rejected, profileName);
+        }
+        return;
+    }
+    
+    console.log('Fields rejected by the page:', failures.map(failure => `${failure.instruction.selector}: ${failure.error}`));
+    
+    const { maxCorrectionRounds = 1 } = await chrome.storage.sync.get('maxCorrectionRounds');
+    const maxRounds = Math.min(Math.max(Math.floor(Number(maxCorrectionRounds)) || 0, 0), MAX_CORRECTION_ROUNDS);
+    
+    // The LLM cannot correct a document rejected by the page
+    const correctable = failures.filter(failure => failure.instruction.source !== 'document');
+    
+    if (correctionRound >= maxRounds || correctable.length === 0) {
+        await reportRejectedFields(formId, [...rejected, ...failures.map(toRejected)], profileName);
+        return;
+    }
+    
+    // Reported after the last round, unless corrected in the meantime
+    pendingRejections.set(formId, [...rejected, ...failures.map(toRejected)]);
+    
+    const focusedForm = await getFormsData(formId);
+    
+    // Card values are never sent to the LLM
+    chrome.runtime.sendMessage({
+        action: 'requestFillCorrection',
+        formData: { id: formId, url: normalizeFormUrl(window.location.href), category: focusedForm ? focusedForm.category : detectFormCategory(form) },
+        failures: correctable.map(({ instruction, control, widget, error }) => ({
+            selector: instruction.selector,
+            field: describeField(control, widget),
+            value: instruction.source === 'card' ? null : instruction.value,
+            source: instruction.source,
+            key: instruction.key,
+            error: error
+        })),
+        round: correctionRound + 1,
+        profileName: profileName,
+        site: getSiteHostname()
+    });
+}
+
+/**
+* Watches a filled field for corrections by the user. Only the fields holding
+* a plain value (text fields, text areas and single selects) filled from the
+* profile are watched: card values are never recorded.
+* @param {HTMLElement} form - The form element.
+* @param {Object} instruction - The instruction the field was filled with.
+*/
+function watchFilledField(form, instruction) {
+    if (['card', 'document'].includes(instruction.source)) return;
+    
+    const element = deepQuerySelector(form, instruction.selector);
+    if (!element || getWidgetAdapter(element) || element.isContentEditable || element.multiple ||
+        ['checkbox', 'radio', 'file'].includes(element.type)) return;
+    
+    const watched = watchedFields.get(element);
+    if (watched) {
+        element.removeEventListener('change', watched.listener);
+    }
+    
+    const state = { form, instruction, value: getFieldValue(element).trim() };
+    
+    // Fills and page scripts dispatch untrusted events, only the user's edits count
+    state.listener = (event) => {
+        if (event.isTrusted) {
+            recordUserCorrection(element, state);
+        }
+    };
+    
+    element.addEventListener('change', state.listener);
+    watchedFields.set(element, state);
+}
+
+/**
+* Stops watching the filled fields of a form for corrections, once it is
+* submitted or its fill is undone.
+* @param {HTMLElement} form - The form element.
+*/
+function unwatchFilledFields(form) {
+    watchedFields.forEach((state, element) => {
+        if (state.form === form) {
+            element.removeEventListener('change', state.listener);
+            watchedFields.delete(element);
+        }
+    });
+}
+
+/**
+* Records the value a user wrote over a filled value: against the form
+* fingerprint, so that the next fills of the same form use it, and in the
+* stored instructions of the form. When the value came from a profile field,
+* the user is offered to update the profile too.
+* @param {HTMLElement} element - The corrected field.
+* @param {Object} state - The watch state: form, instruction and filled value.
+* @returns {Promise<void>}
+*/
+async function recordUserCorrection(element, state) {
+    const value = getFieldValue(element).trim();
+    
+    // A cleared field is likely about to be typed again
+    if (value === '' || value === state.value) return;
+    
+    const { form, instruction } = state;
+    const filledValue = state.value;
+    state.value = value;
+    
+    console.log('User corrected field:', instruction.selector, 'from:', filledValue, 'to:', value);
+    
+    const formData = await getFormsData(form.id);
+    
+    if (formData && formData.fingerprint) {
+        const { fillCorrections = {} } = await chrome.storage.local.get('fillCorrections');
+        const corrections = fillCorrections[formData.fingerprint] || { fields: {} };
+        
+        corrections.fields[getFieldKey(element)] = { from: filledValue, to: value, key: instruction.key || null };
+        corrections.updatedAt = Date.now();
+        fillCorrections[formData.fingerprint] = corrections;
+        
+        // Forget the least recently corrected forms
+        const fingerprints = Object.keys(fillCorrections);
+        if (fingerprints.length > MAX_CORRECTED_FORMS) {
+            fingerprints
+            .sort((a, b) => fillCorrections[a].updatedAt - fillCorrections[b].updatedAt)
+            .slice(0, fingerprints.length - MAX_CORRECTED_FORMS)
+            .forEach(fingerprint => delete fillCorrections[fingerprint]);
+        }
+        
+        await chrome.storage.local.set({ fillCorrections });
+    }
+    
+    if (formData && formData.fillInstructions) {
+        filterInstructionsForField(form, formData.fillInstructions, element).forEach(stored => {
+            stored.value = value;
+            stored.confidence = 1;
+            stored.rationale = 'Corrected by the user';
+        });
+        await updateFormsData(formData);
+    }
+    
+    if (instruction.key) {
+        const profileName = instruction.profile || (formData && formData.profileName) || null;
+        
+        showToast(
+            `Form Butler will fill "${value}" here next time.`,
+            'Update profile',
+            () => chrome.runtime.sendMessage({ action: 'updateProfileField', profileName, key: instruction.key, value })
+        );
+    }
+}
+
+/**
+* Replaces the values the user corrected on a form with the same fingerprint
+* by their correction, when the instructions bring the wrong value back.
+* @param {HTMLElement} form - The form element.
+* @param {string} fingerprint - The fingerprint of the form.
+* @param {Array} fillInstructions - The instructions, with resolved selectors
+* and formatted values.
+* @returns {Promise<Array>} The instructions, with the corrected values.
+*/
+async function applyUserCorrections(form, fingerprint, fillInstructions) {
+    const { fillCorrections = {} } = await chrome.storage.local.get('fillCorrections');
+    const corrections = fillCorrections[fingerprint];
+    
+    if (!corrections) {
+        return fillInstructions;
+    }
+    
+    return fillInstructions.map(instruction => {
+        if (instruction.frame !== undefined || instruction.rejected || ['card', 'document'].includes(instruction.source)) return instruction;
+        
+        const element = deepQuerySelector(form, instruction.selector);
+        const correction = element && corrections.fields[getFieldKey(element)];
+        
+        if (!correction || String(instruction.value ?? '').trim() !== correction.from) {
+            return instruction;
+        }
+        
+        console.log('Using the user correction for field:', instruction.selector, 'value:', correction.to);
+        return { ...instruction, value: correction.to, confidence: 1, rationale: 'Corrected by the user' };
+    });
+}
+
+/**
+* Collects the values the user typed in a form, which may be new personal
+* data: filled fields Form Butler did not fill, excluding sensitive fields
+* (see classifySensitiveField) and payment card fields.
+* @param {HTMLElement} form - The form element.
+* @returns {Array<Object>} The typed values: field description and value.
+*/
+function collectTypedValues(form) {
+    return getFillableInputs(form)
+    .filter(element => {
+        const autocomplete = (element.getAttribute('autocomplete') || '').toLowerCase();
+        const value = getFieldValue(element).trim();
+        
+        return SUGGESTION_FIELD_TYPES.includes(element.type) &&
+        value !== '' && value.length <= 200 &&
+        !watchedFields.has(element) &&
+        !classifySensitiveField(element) &&
+        !getWidgetAdapter(element) &&
+        !/(^|\s)(cc-|one-time-code|current-password|new-password)/.test(autocomplete) &&
+        // Looks like a payment card number
+        !/^\d{13,19}$/.test(value.replace(/[\s-]/g, ''));
+    })
+    .map(element => ({ field: describeField(element, null), value: getFieldValue(element).trim() }));
+}
+
+/**
+* Loads whether the values typed in submitted forms may be collected, from
+* the extensionEnabled and profileSuggestions settings and the site rule.
+* @returns {Promise<void>}
+*/
+async function loadProfileSuggestionsSetting() {
+    const { extensionEnabled = true, profileSuggestions = false } = await chrome.storage.sync.get(['extensionEnabled', 'profileSuggestions']);
+    
+    profileSuggestionsAllowed = extensionEnabled && profileSuggestions && (await getSiteRule()).mode !== 'disabled';
+}
+
+/**
+* Sends the values typed in a submitted form to the background script, which
+* picks the ones worth saving to the profile. The values are collected before
+* anything else, as the submission may leave the page, and only if the user
+* allowed it on this site (see loadProfileSuggestionsSetting).
+* @param {HTMLElement} form - The submitted form.
+*/
+function suggestProfileFields(form) {
+    if (!profileSuggestionsAllowed) {
+        return;
+    }
+    
+    const typedValues = collectTypedValues(form);
+    
+    if (typedValues.length === 0) {
+        return;
+    }
+    
+    console.log('Form submitted with', typedValues.length, 'typed values:', form.id);
+    
+    chrome.runtime.sendMessage({
+        action: 'requestProfileSuggestions',
+        formData: { id: form.id, url: normalizeFormUrl(window.location.href), category: detectFormCategory(form) },
+        typedValues: typedValues,
+        site: getSiteHostname()
+    });
+}
+
+/**
+* Shows the pending profile suggestions of the current site, if any: the
+* values typed in a submitted form which may be saved to the profile, with
+* an editable label. They are offered once, by the top frame.
+* @returns {Promise<void>}
+*/
+async function showPendingProfileSuggestions() {
+    if (window !== window.top) return;
+    
+    const { pendingProfileSuggestions: pending } = await chrome.storage.local.get('pendingProfileSuggestions');
+    
+    if (!pending || pending.site !== getSiteHostname() || Date.now() - pending.createdAt > PROFILE_SUGGESTIONS_LIFETIME) {
+        return;
+    }
+    
+    await chrome.storage.local.remove('pendingProfileSuggestions');
+    document.querySelectorAll('.form-butler-suggestions-host').forEach(host => host.remove());
+    
+    const { host, root } = await createOverlayHost();
+    host.classList.add('form-butler-suggestions-host');
+    
+    const panel = document.createElement('div');
+    panel.className = 'form-butler-review form-butler-suggestions';
+    panel.innerHTML = `
+        <div class="form-butler-review-header"></div>
+        <ul class="form-butler-review-list"></ul>
+        <div class="form-butler-review-actions">
+            <button type="button" class="form-butler-review-cancel">Not now</button>
+            <button type="button" class="form-butler-review-apply">Save</button>
+        </div>
+    `;
+    
+    panel.querySelector('.form-butler-review-header').textContent = `Form Butler: save to profile "${pending.profileName}"?`;
+    
+    const list = panel.querySelector('.form-butler-review-list');
+    
+    pending.suggestions.forEach((suggestion, index) => {
+        const item = document.createElement('li');
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = true;
+        checkbox.dataset.index = index;
+        
+        // The labels of new fields can be edited, not the ones of existing fields
+        const labelInput = document.createElement('input');
+        labelInput.type = 'text';
+        labelInput.className = 'form-butler-review-value';
+        labelInput.value = suggestion.label;
+        labelInput.disabled = Boolean(suggestion.key);
+        
+        const value = document.createElement('span');
+        value.className = 'form-butler-review-label';
+        value.textContent = suggestion.value;
+        value.title = suggestion.value;
+        
+        item.append(checkbox, labelInput, value);
+        list.appendChild(item);
+    });
+    
+    panel.querySelector('.form-butler-review-cancel').addEventListener('click', () => host.remove());
+    panel.querySelector('.form-butler-review-apply').addEventListener('click', () => {
+        const fields = [...list.querySelectorAll('li')]
+        .filter(item => item.querySelector('input[type="checkbox"]').checked)
+        .map(item => ({
+            ...pending.suggestions[item.querySelector('input[type="checkbox"]').dataset.index],
+            label: item.querySelector('.form-butler-review-value').value.trim()
+        }))
+        .filter(field => field.label !== '');
+        
+        host.remove();
+        
+        if (fields.length > 0) {
+            chrome.runtime.sendMessage({ action: 'addProfileFields', profileName: pending.profileName, fields });
+            showToast(`Form Butler saved ${fields.length} value(s) to profile "${pending.profileName}".`);
+        }
+    });
+    
+    root.appendChild(panel);
+}
+
+/**
+* Retrieves the locale of the page, used to read and write dates and numbers.
+* @returns {string} The BCP 47 locale (e.g. 'fr-FR').
+*/
+function getPageLocale() {
+    return document.documentElement.lang || navigator.language || 'en-US';
+}
+
+/**
+* Describes the format constraints of a field, for formatFieldValue.
+* @param {HTMLElement} element - The field element.
+* @returns {Object} The field description: tag, type, pattern, maxLength,
+* inputMode, autocomplete and placeholder.
+*/
+function describeFieldFormat(element) {
+    return {
+        tag: element.tagName.toLowerCase(),
+        type: element.tagName === 'INPUT' ? element.type : '',
+        pattern: element.getAttribute('pattern'),
+        maxLength: element.maxLength,
+        inputMode: element.getAttribute('inputmode'),
+        autocomplete: element.getAttribute('autocomplete'),
+        placeholder: element.getAttribute('placeholder')
+    };
+}
+
+/**
+* Formats the values of fill instructions for the fields they target (dates,
+* times, phone numbers, postal codes, decimals), following the input type,
+* constraints and page locale. Instructions for embedded frames are formatted
+* by their own frame.
+* @param {HTMLElement} form - The form element.
+* @param {Array} fillInstructions - The instructions on how to fill the form fields.
+* @returns {Array} The instructions with formatted values.
+*/
+function formatFillInstructions(form, fillInstructions) {
+    const locale = getPageLocale();
+    
+    return fillInstructions.map(instruction => {
+        if (instruction.frame !== undefined || instruction.rejected || instruction.source === 'document') return instruction;
+        
+        const element = deepQuerySelector(form, instruction.selector);
+        if (!element || getWidgetAdapter(element)) return instruction;
         
-        if (!hasValidFor && !hasInputChildren) {
-            label.remove();
+        const value = formatFieldValue(instruction.value, describeFieldFormat(element), locale);
+        
+        if (value !== instruction.value) {
+            console.log('Formatted value for field:', instruction.selector, 'from:', instruction.value, 'to:', value);
+            return { ...instruction, value };
         }
+        
+        return instruction;
     });
+}
+
+// Lengths and tones of the drafted answers, as offered in the draft panel
+const DRAFT_LENGTHS = { short: 'Short', medium: 'Medium', long: 'Long' };
+const DRAFT_TONES = { professional: 'Professional', formal: 'Formal', friendly: 'Friendly', enthusiastic: 'Enthusiastic' };
+
+/**
+* Checks whether a field expects a free-text answer (a textarea or an
+* editable element), rather than a value from the profile. Off-limits fields
+* (e.g. security answers) are never drafted.
+* @param {Element} element - The element to check.
+* @returns {boolean} True for enabled textareas and contenteditable elements.
+*/
+function isOpenEndedField(element) {
+    if (!element || !element.tagName || getWidgetAdapter(element) || getOffLimitsCategory(element)) {
+        return false;
+    }
     
-    const formHtml = formClone.outerHTML;
-    
-    // Get the current page URL
-    const url = window.location.href;
+    if (element.tagName === 'TEXTAREA') {
+        return !element.readOnly && !element.disabled;
+    }
     
-    return { id: form.id, html: formHtml, url: url };
+    return element.isContentEditable && element.tagName !== 'INPUT';
 }
 
 /**
-* Retrieves the formsData array from chrome.storage.local.
-* If formId or url is provided, it returns the specific form.
-* 
-* @param {string} [formId] - Optional ID of the form to retrieve.
-* @param {string} [url=window.location.href] - Optional URL of the form, defaults to current page.
-* @returns {Promise<Array|Object|null>} The array of forms data, specific form, or null if not found.
+* Shows a "Draft answer" button below an empty open-ended field, removed
+* when the field loses the focus.
+* @param {HTMLElement} element - The focused field.
 */
-async function getFormsData(formId = null, url = window.location.href) {
-    const result = await chrome.storage.local.get('formsData');
-    const formsData = result.formsData || [];
+function showDraftButton(element) {
+    document.querySelectorAll('.form-butler-draft-button').forEach(button => button.remove());
     
-    if (!formId && !url) {
-        return formsData;
-    }
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'form-butler-draft-button';
+    button.textContent = '✎ Draft answer';
     
-    let filteredFormsData = formsData;
+    const rect = element.getBoundingClientRect();
+    button.style.top = `${rect.bottom + window.scrollY + 4}px`;
+    button.style.left = `${Math.max(rect.right - 120, 0) + window.scrollX}px`;
     
-    if (formId || url) { // Updated condition to always filter by URL
-        filteredFormsData = formsData.filter(form => 
-            (!formId || form.id === formId) && // true if formId is not provided or if form.id is equal to formId
-            form.url === url // true if form.url is equal to url    
-        );
-    }
+    // Keep the focus on the field while clicking
+    button.addEventListener('mousedown', event => event.preventDefault());
+    button.addEventListener('click', () => {
+        button.remove();
+        openDraftPanel(element);
+    });
     
-    if (formId) {
-        filteredFormsData = filteredFormsData.find(form => form.id === formId);
-    }
+    element.addEventListener('focusout', () => button.remove(), { once: true });
     
-    return filteredFormsData;
+    document.body.appendChild(button);
 }
 
 /**
-* Retrieves the on which the user is currently focused
-* 
-* @returns {Promise<Array>} The array of forms data.
+* Closes the draft panel, ignoring the draft still being generated.
 */
-async function getFocusedForm() {
-    const thisSiteForms = await getFormsData();
-    return thisSiteForms.find(form => form.focused);
+function closeDraftPanel() {
+    if (activeDraft) {
+        activeDraft.host.remove();
+        activeDraft = null;
+    }
 }
 
 /**
-* Sets the formsData array in chrome.storage.local.
-* @param {Array} data - The forms data array to store.
+* Opens a panel below an open-ended field showing an answer drafted by the
+* LLM from the profile background and the page context. The draft can be
+* edited, regenerated with another length or tone, and is only written to the
+* field when the user inserts it. Like the review overlay, the panel lives in
+* a closed shadow root, out of reach of the page scripts.
+* @param {HTMLElement} element - The open-ended field.
 * @returns {Promise<void>}
 */
-async function setFormsData(data) {
-    await chrome.storage.local.set({ formsData: data });
+async function openDraftPanel(element) {
+    const offLimitsCategory = getOffLimitsCategory(element);
+    if (offLimitsCategory) {
+        showToast(`Form Butler never fills ${SENSITIVE_FIELD_LABELS[offLimitsCategory]} fields.`);
+        return;
+    }
+    
+    if ((await getSiteRule()).mode === 'disabled') {
+        console.log('Form Butler is disabled on this site.');
+        return;
+    }
+    
+    const form = await trackFocusedForm(element);
+    
+    if (!form) {
+        return;
+    }
+    
+    closeDraftPanel();
+    
+    const { draftLength = 'medium', draftTone = 'professional' } = await chrome.storage.sync.get(['draftLength', 'draftTone']);
+    
+    const toOptions = (labels, selected) => Object.entries(labels)
+    .map(([value, label]) => `<option value="${value}"${value === selected ? ' selected' : ''}>${label}</option>`)
+    .join('');
+    
+    const panel = document.createElement('div');
+    panel.className = 'form-butler-draft';
+    panel.innerHTML = `
+        <div class="form-butler-review-header">Form Butler: suggested answer</div>
+        <div class="form-butler-draft-question"></div>
+        <div class="form-butler-draft-options">
+            <select class="form-butler-draft-length">${toOptions(DRAFT_LENGTHS, draftLength)}</select>
+            <select class="form-butler-draft-tone">${toOptions(DRAFT_TONES, draftTone)}</select>
+            <button type="button" class="form-butler-draft-regenerate">Regenerate</button>
+        </div>
+        <textarea class="form-butler-draft-text" rows="8"></textarea>
+        <div class="form-butler-draft-status"></div>
+        <div class="form-butler-review-actions">
+            <button type="button" class="form-butler-review-cancel">Dismiss</button>
+            <button type="button" class="form-butler-review-apply">Insert</button>
+        </div>
+    `;
+    
+    panel.querySelector('.form-butler-draft-question').textContent = getAccessibleName(element).name;
+    
+    const text = panel.querySelector('.form-butler-draft-text');
+    const status = panel.querySelector('.form-butler-draft-status');
+    
+    // Word count, and character count against the field limit if any
+    const updateStatus = () => {
+        const words = text.value.trim() ? text.value.trim().split(/\s+/).length : 0;
+        status.textContent = `${words} words` + (element.maxLength > 0 ? ` · ${text.value.length}/${element.maxLength} characters` : '');
+        status.classList.toggle('form-butler-draft-too-long', element.maxLength > 0 && text.value.length > element.maxLength);
+    };
+    text.addEventListener('input', updateStatus);
+    
+    // Anchor the panel below the field, within the viewport
+    const rect = element.getBoundingClientRect();
+    panel.style.top = `${rect.bottom + window.scrollY + 4}px`;
+    panel.style.left = `${Math.max(Math.min(rect.left, window.innerWidth - 460), 0) + window.scrollX}px`;
+    
+    const { host, root } = await createOverlayHost();
+    
+    activeDraft = { element, form, panel, host, requestId: null, updateStatus };
+    
+    panel.querySelector('.form-butler-draft-regenerate').addEventListener('click', () => requestDraftAnswer());
+    panel.querySelector('.form-butler-review-cancel').addEventListener('click', () => closeDraftPanel());
+    panel.querySelector('.form-butler-review-apply').addEventListener('click', () => insertDraftAnswer());
+    panel.addEventListener('keydown', event => {
+        if (event.key === 'Escape') closeDraftPanel();
+    });
+    
+    root.appendChild(panel);
+    
+    requestDraftAnswer();
 }
 
 /**
-* Merges new instructions with existing instructions.
-* 
-* @param {Array} existingInstructions - The existing instructions array.
-* @param {Array} newInstructions - The new instructions array to merge.
-* @returns {Array} The merged instructions array.
+* Asks the background script to draft an answer for the field of the draft
+* panel, with the length and tone selected in the panel.
 */
-function mergeInstructions(existingInstructions, newInstructions) {
-    if (!existingInstructions) {
-        existingInstructions = newInstructions;
-    } else {
-        newInstructions.forEach(newInstruction => {
-            const existingIndex = existingInstructions.findIndex(
-                instruction => instruction.selector === newInstruction.selector
-            );
-            if (existingIndex !== -1) {
-                existingInstructions[existingIndex] = newInstruction;
-            } else {
-                existingInstructions.push(newInstruction);
-            }
-        });
-    }
+function requestDraftAnswer() {
+    if (!activeDraft) return;
     
-    return existingInstructions;
+    const { element, form, panel } = activeDraft;
+    const text = panel.querySelector('.form-butler-draft-text');
+    const status = panel.querySelector('.form-butler-draft-status');
+    
+    activeDraft.requestId = `draft_${Date.now()}`;
+    text.disabled = true;
+    status.classList.remove('form-butler-draft-too-long');
+    status.textContent = 'Drafting...';
+    
+    const fieldData = collectFieldContext(form, element);
+    const description = document.querySelector('meta[name="description"]');
+    fieldData.context.description = description ? description.content.trim() : '';
+    
+    console.log('Requesting answer draft for field:', element.id);
+    
+    chrome.runtime.sendMessage({
+        action: 'requestDraftAnswer',
+        requestId: activeDraft.requestId,
+        formData: { id: form.id, url: normalizeFormUrl(window.location.href), category: detectFormCategory(form) },
+        fieldData: fieldData,
+        options: {
+            length: panel.querySelector('.form-butler-draft-length').value,
+            tone: panel.querySelector('.form-butler-draft-tone').value,
+            locale: getPageLocale()
+        },
+        site: getSiteHostname()
+    });
 }
 
 /**
-* Updates the formsData with a new or existing form.
-* @param {Object} newForm - The form data object to add or update.
+* Writes the (possibly edited) draft into its field, so that it can be undone
+* like a fill, and closes the panel.
 * @returns {Promise<void>}
 */
-async function updateFormsData(newForm) {
-    let formsData = await getFormsData(url = null); // Get all forms
+async function insertDraftAnswer() {
+    if (!activeDraft) return;
     
-    // Set 'focused' flag to false for all forms
-    formsData.forEach(form => form.focused = false);
+    const { element, form, panel } = activeDraft;
+    const answer = panel.querySelector('.form-butler-draft-text').value;
     
-    // Check if the form is already in formsData based on id and url
-    let existingForm = formsData.find(form => form.id === newForm.id && form.url === newForm.url);
+    closeDraftPanel();
     
-    if (existingForm) {
-        // Update existing form's data with newForm data
-        Object.assign(existingForm, newForm);
+    const snapshot = snapshotFieldState(element);
+    
+    if (await setFieldValue(element, answer)) {
+        animateFilledField(element);
+        await saveFillOutcome(form.id, snapshot);
         
-        // Set focused flag to true for the existing form
-        existingForm.focused = true;
-    } else {
-        // Add new form data with focused and fulfilled flags
-        newForm.focused = true;
-        newForm.fulfilled = false;
-        formsData.push(newForm);
+        showToast('Answer inserted by Form Butler.', 'Undo', () => {
+            chrome.runtime.sendMessage({ action: 'undoFill' });
+        });
+    }
+}
+
+/**
+* Finds the form of an input element (a real or a virtual form), collects it
+* and stores it as the focused form.
+* @param {HTMLElement} target - The input element.
+* @returns {Promise<HTMLElement|null>} The form element, or null if none is found.
+*/
+async function trackFocusedForm(target) {
+    addIdToForms(); // Add IDs to all forms without one
+    
+    // Inputs outside of a <form> are grouped into a virtual form
+    const form = closestDeep(target, 'form') || getVirtualForm(target);
+    
+    assignUniqueIdsToInputs(); // Assign unique IDs to all input elements
+    
+    if (!form) {
+        console.log('No form found for element:', target.tagName);
+        return null;
     }
     
-    await setFormsData(formsData);
+    console.log('Form detected:', form.id);
+    
+    // Collect form data, the ids of the fields sent being only kept for this page
+    const { fieldIds, ...formData } = collectFormData(form);
+    collectedFieldIds.set(form.id, fieldIds);
+    
+    // Update formsData in storage with focus
+    await updateFormsData(formData);
+    
+    return form;
 }
 
 /**
-* Retrieves the 'autoFill' setting from chrome.storage.sync.
-* @returns {Promise<boolean>} The autoFill setting.
+* Checks whether an element is a field the extension can fill.
+* @param {Element} element - The element to check.
+* @returns {boolean} True for inputs, widgets and editable elements.
 */
-async function getAutoFillSetting() {
-    const result = await chrome.storage.sync.get('autoFill');
-    return result.autoFill || false;
+function isFillableElement(element) {
+    if (!element || !element.tagName) {
+        return false;
+    }
+    
+    return INPUT_ELEMENT_TAGS.split(', ').includes(element.tagName.toLowerCase()) ||
+    element.matches(WIDGET_ELEMENT_SELECTOR) ||
+    (element.contentEditable && element.contentEditable !== 'false');
 }
 
 /**
-* Fills the form fields with the provided instructions.
-* @param {string} formId - The ID of the form to fill.
-* @param {Array} fillInstructions - The instructions on how to fill the form fields.
+* Retrieves the focused element, looking inside open shadow roots.
+* @returns {Element|null} The focused element, or null.
 */
-async function fillFormFields(formId, fillInstructions) {
-    const form = document.getElementById(formId);
+function getDeepActiveElement() {
+    let element = document.activeElement;
     
-    if (!form) {
-        console.log('Form not found for form id:', formId);
+    while (element && element.shadowRoot && element.shadowRoot.activeElement) {
+        element = element.shadowRoot.activeElement;
+    }
+    
+    return element;
+}
+
+/**
+* Fills the form of an element, on demand (popup, keyboard shortcut or
+* context menu), after storing it as the focused form.
+* @param {HTMLElement} target - An input element of the form.
+* @param {Object} [options] - The fill options, see requestFormCompletion.
+* @returns {Promise<void>}
+*/
+async function fillFormOf(target, options = {}) {
+    const offLimitsCategory = options.field && getOffLimitsCategory(options.field);
+    if (offLimitsCategory) {
+        showToast(`Form Butler never fills ${SENSITIVE_FIELD_LABELS[offLimitsCategory]} fields.`);
         return;
     }
     
-    console.log('Filling form fields for form:', formId);
+    if (isRequestPending) {
+        console.log('Form completion request is already pending.');
+        return;
+    }
     
-    for (const field of fillInstructions) {
-        const input = form.querySelector(field.selector);
-        if (!input) {
-            console.log('Field not found:', field.selector, 'in form:', formId);
-            continue;
-        }
-        
-        if (input.value.trim() === field.value) {
-            console.log('Field already filled:', field.selector, 'with value:', field.value);
-            continue;
-        }
-        
-        if (!field.value) {
-            console.log('No value provided for instruction:', field.selector, 'in form:', formId);
-            continue;
-        }
-        
-        console.log('Filling field:', field.selector, 'with value:', field.value);
-        
-        switch(field.type) {
-            case 'select':
-            input.value = field.value;
-            const option = input.querySelector(`option[value='${field.value}']`);
-            if (option) {
-                option.selected = true;
-            }
-            input.dispatchEvent(new Event('change', { bubbles: true }));
-            break;
-            case 'checkbox':
-            input.checked = field.value === true || field.value === 'true';
-            input.dispatchEvent(new Event('change', { bubbles: true }));
-            break;
-            case 'radio':
-            const radio = form.querySelector(`${field.selector}[value='${field.value}']`);
-            if (radio) {
-                radio.checked = true;
-                radio.dispatchEvent(new Event('change', { bubbles: true }));
-            }
-            break;
-            default:
-            input.value = field.value;
-            input.dispatchEvent(new Event('input', { bubbles: true }));
-            input.dispatchEvent(new Event('change', { bubbles: true }));
-        }
-        
+    if ((await getSiteRule()).mode === 'disabled') {
+        console.log('Form Butler is disabled on this site.');
+        return;
+    }
+    
+    if (await trackFocusedForm(target)) {
+        await requestFormCompletion(options);
     }
 }
 
 /**
 * Requests form completion by sending a message to the background script.
+* @param {Object} [options] - The fill options.
+* @param {string} [options.profileName] - The profile to fill the form with,
+* instead of the current one. Stored completions are not used in this case.
+* @param {HTMLElement} [options.field] - The field to fill alone.
 */
-async function requestFormCompletion() {
+async function requestFormCompletion(options = {}) {
     
     // Check if the extension is enabled
     const { extensionEnabled = true } = await chrome.storage.sync.get('extensionEnabled');
@@ -349,6 +3374,12 @@ async function requestFormCompletion() {
         return;
     }
     
+    const siteRule = await getSiteRule();
+    if (siteRule.mode === 'disabled') {
+        console.log('Form Butler is disabled on this site. Skipping form completion.');
+        return;
+    }
+    
     if (isRequestPending) {
         console.log('Form completion request is already pending.');
         return;
@@ -360,33 +3391,62 @@ async function requestFormCompletion() {
     
     if (!focusedForm) {
         console.log('No form has been focused');
+        isRequestPending = false;
         return;
     }
     
-    const { useStoredCompletion } = await chrome.storage.sync.get('useStoredCompletion');
+    // The site rule takes precedence over the global preference
+    const useStoredCompletion = siteRule.useStoredCompletion ?? (await chrome.storage.sync.get('useStoredCompletion')).useStoredCompletion;
     
     // Add processing class to the form
-    const formElement = document.getElementById(focusedForm.id);
+    const formElement = getElementByIdDeep(focusedForm.id);
     formElement.classList.add('form-butler-processing');
     
-    // Check if the form has already been fulfilled and if the user has opted to use stored completion
-    const shouldUseStored = focusedForm.fulfilled && useStoredCompletion;
+    // Check if the form (or the requested field) has already been fulfilled
+    // and if the user has opted to use stored completion
+    const shouldUseStored = useStoredCompletion && !options.profileName && (options.field 
+        ? filterInstructionsForField(formElement, focusedForm.fillInstructions || [], options.field).length > 0 
+        : focusedForm.fulfilled);
     
-    if (!shouldUseStored) {
+    if (!shouldUseStored && options.field) {
+        console.log('Requesting completion of field:', options.field.id, 'in form:', focusedForm.id);
+        pendingFillField = options.field;
+        
+        // Only the field and its surroundings are sent
+        chrome.runtime.sendMessage({
+            action: 'requestFieldCompletion',
+            formData: { id: focusedForm.id, url: focusedForm.url, category: focusedForm.category },
+            fieldData: collectFieldContext(formElement, options.field),
+            profileName: options.profileName,
+            site: getSiteHostname()
+        });
+    } else if (!shouldUseStored) {
         console.log('Requesting form completion for form:', focusedForm.id);
+        pendingFillField = null;
+        
+        if (collectedFieldIds.has(focusedForm.id)) {
+            sentFieldIds.set(focusedForm.id, collectedFieldIds.get(focusedForm.id));
+        }
+        
         // Request form completion from background script
-        chrome.runtime.sendMessage({ action: 'requestFormCompletion', formData: focusedForm });
+        chrome.runtime.sendMessage({
+            action: 'requestFormCompletion',
+            formData: focusedForm,
+            profileName: options.profileName,
+            site: getSiteHostname()
+        });
     } else {
         console.log('Form already fulfilled, applying saved fill instructions.');
         
+        formElement.classList.remove('form-butler-processing');
+        
         // Fill the form with the saved fill instructions
         if (focusedForm.fillInstructions) {
-            await fillFormFields(focusedForm.id, focusedForm.fillInstructions);
+            await applyFillInstructions(focusedForm.id, focusedForm.fillInstructions, options.field, focusedForm.profileName);
         } else {
             console.log('No fill instructions found for fulfilled form.');
         }
         
-        formElement.classList.remove('form-butler-processing');
         isRequestPending = false;
     }
 }
@@ -399,34 +3459,36 @@ document.addEventListener('focusin', async (event) => {
         return;
     }
     
-    let tagName = event.target.tagName.toLowerCase();
-    let inputTags = INPUT_ELEMENT_TAGS.split(', ');
+    // The event target is retargeted to the shadow host for inputs inside shadow roots
+    const target = event.composedPath()[0];
     
-    if (inputTags.includes(tagName) ||
-    (event.target.contentEditable && event.target.contentEditable !== 'false')) 
-    {
-        console.log('Focus event detected on:', event.target.tagName);
-        addIdToForms(); // Add IDs to all forms without one
-        assignUniqueIdsToInputs(); // Assign unique IDs to all input elements
+    // Ignore the fields of the extension's own overlays
+    if (isFillableElement(target) && !target.closest('.form-butler-review')) {
+        console.log('Focus event detected on:', target.tagName);
         
-        const form = event.target.closest('form');
-        
-        if (!form) {
-            // TODO: Handle input fields outside of forms
-            console.log('No form found for focus event');
+        // Nothing is collected on sites where Form Butler never runs
+        const siteRule = await getSiteRule();
+        if (siteRule.mode === 'disabled') {
             return;
         }
         
-        console.log('Form detected:', form.id);
+        const form = await trackFocusedForm(target);
         
-        // Collect form data
-        const formData = collectFormData(form);
+        if (!form) {
+            return;
+        }
         
-        // Update formsData in storage with focus
-        await updateFormsData(formData);
+        // Offer to draft an answer for empty open-ended questions
+        if (isOpenEndedField(target) && getFieldValue(target).trim() === '') {
+            const { extensionEnabled = true, draftSuggestions = true } = await chrome.storage.sync.get(['extensionEnabled', 'draftSuggestions']);
+            
+            if (extensionEnabled && draftSuggestions && getDeepActiveElement() === target) {
+                showDraftButton(target);
+            }
+        }
         
-        // Check if autoFill is enabled
-        const autoFill = await getAutoFillSetting();
+        // Check if autoFill is enabled, on this site or globally
+        const autoFill = siteRule.mode === 'auto' || (siteRule.mode !== 'manual' && await getAutoFillSetting());
         
         if (autoFill) {
             // Request form completion from background script
@@ -435,26 +3497,86 @@ document.addEventListener('focusin', async (event) => {
     }
 });
 
+// The values of a submitted form are final: offer to save the typed ones to the profile
+document.addEventListener('submit', (event) => {
+    suggestProfileFields(event.target);
+    unwatchFilledFields(event.target);
+}, true);
+
+// The suggestions of a form submitted on the previous page
+showPendingProfileSuggestions();
+
+// Follow the policy of the sensitive fields and the suggestion settings set in the options
+loadSensitiveFieldPolicy();
+loadProfileSuggestionsSetting();
+
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'sync' && (changes.consentPolicy || changes.newsletterPolicy || changes.termsPolicy)) {
+        loadSensitiveFieldPolicy();
+    }
+    
+    if (area === 'sync' && (changes.extensionEnabled || changes.profileSuggestions || changes.siteRules)) {
+        loadProfileSuggestionsSetting();
+    }
+});
+
+// Remember the element the context menu is opened on, for the fill menu entries
+document.addEventListener('contextmenu', (event) => {
+    contextMenuTarget = event.composedPath()[0];
+}, true);
+
 /**
 * Handles messages received from the background script or popup.
 */
-chrome.runtime.onMessage.addListener(async (message) => {
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.action === "collectFrameForm") {
+        // Requests needing a response are answered synchronously
+        const frameForm = getFrameForm();
+        sendResponse(frameForm ? collectFormData(frameForm) : null);
+        return;
+    }
+    
+    if (message.action === "checkFormSelectors") {
+        // The selectors of a form template which match no field of the form
+        const form = getElementByIdDeep(message.formId);
+        const knownFields = form ? getFormFieldIds(form).map(id => deepQuerySelector(form, `#${CSS.escape(id)}`)).filter(Boolean) : [];
+        sendResponse(message.selectors.filter(selector => !form || !resolveSelector(form, selector, knownFields).selector));
+        return;
+    }
+    
+    handleMessage(message);
+});
+
+/**
+* Handles messages that do not need a response.
+* @param {Object} message - The received message.
+*/
+async function handleMessage(message) {
     if (message.action === "formCompletionReady") {
         // Update formsData with fillInstructions
         let form = await getFormsData(message.formId);
         
         if (form) {
-            form.fillInstructions = mergeInstructions(form.fillInstructions, message.fillInstructions); 
-            form.fulfilled = true;
+            // A single-field completion only updates the instruction of its field
+            form.fillInstructions = mergeInstructions(form.fillInstructions, message.fillInstructions, getElementByIdDeep(message.formId));
+            form.fulfilled = form.fulfilled || !message.fieldOnly;
+            form.profileName = message.profileName || null;
             
             await updateFormsData(form);
             
-            // Fill the form
-            fillFormFields(message.formId, message.fillInstructions);
-            
             // Remove processing class from the form
-            const formElement = document.getElementById(message.formId);
+            const formElement = getElementByIdDeep(message.formId);
             formElement.classList.remove('form-butler-processing');
+            
+            // Fill the form (or the requested field), after the user review if enabled
+            const field = pendingFillField;
+            pendingFillField = null;
+            await applyFillInstructions(message.formId, message.fillInstructions, field, message.profileName);
+            
+            if (message.fieldOnly && message.fillInstructions.length === 0) {
+                showToast('Form Butler found no value for this field.');
+            }
+            
             isRequestPending = false;
         } else {
             console.warn('Form not found in formsData:', message.formId);
@@ -463,14 +3585,128 @@ chrome.runtime.onMessage.addListener(async (message) => {
     } else if (message.action === "formCompletionError") {
         
         console.error('Form completion error:', message.error);
+        sentFieldIds.delete(message.formId);
         
-        const formElement = document.getElementById(message.formId)
+        const formElement = getElementByIdDeep(message.formId)
         formElement.classList.remove('form-butler-processing');
+        pendingFillField = null;
         isRequestPending = false;
         
+    } else if (message.action === "fillCorrectionReady") {
+        
+        // Store the corrected values, so that stored completions reuse them
+        const form = await getFormsData(message.formId);
+        
+        if (form) {
+            form.fillInstructions = mergeInstructions(form.fillInstructions, message.corrections, getElementByIdDeep(message.formId));
+            await updateFormsData(form);
+        }
+        
+        // The fields the LLM could not correct are reported after the last round
+        const rejected = pendingRejections.get(message.formId) || [];
+        pendingRejections.set(message.formId, rejected.filter(field => 
+            !message.corrections.some(correction => correction.selector === field.selector)
+        ));
+        
+        console.log('Applying correction round', message.round, 'to form:', message.formId);
+        await applyFillInstructions(message.formId, message.corrections, null, message.profileName, message.round);
+        
+    } else if (message.action === "fillCorrectionError") {
+        
+        console.error('Fill correction error:', message.error);
+        
+        const rejected = pendingRejections.get(message.formId) || [];
+        pendingRejections.delete(message.formId);
+        
+        if (rejected.length > 0) {
+            await reportRejectedFields(message.formId, rejected);
+        }
+        
+    } else if (message.action === "fillFrameForm") {
+        
+        // Fill the part of a parent frame's form living in this frame
+        const frameForm = getFrameForm();
+        if (frameForm) {
+            const fillInstructions = resolveInstructionSelectors(frameForm, message.fillInstructions, getFormFieldIds(frameForm));
+            fillFormFields(frameForm.id, formatFillInstructions(frameForm, fillInstructions));
+        }
+        
+    } else if (message.action === "undoFill") {
+        
+        // Handle undo request from the popup, the toast or the keyboard shortcut
+        undoLastFill();
+        
     } else if (message.action === "fillForm") {
         
-        // Handle manual fill request from popup
-        requestFormCompletion()
+        if (message.fromContextMenu) {
+            // Fill the form of the element the context menu was opened on
+            if (isFillableElement(contextMenuTarget)) {
+                await fillFormOf(contextMenuTarget, { profileName: message.profileName });
+            }
+        } else {
+            // Handle manual fill request from popup or keyboard shortcut, sent
+            // to every frame: only the frame holding the focus handles it, or
+            // the top frame when no frame has it (e.g. the popup is open).
+            // The document of a frame has the focus when one of its frames has it
+            const activeElement = getDeepActiveElement();
+            const hasOwnFocus = document.hasFocus() && !(activeElement && ['IFRAME', 'FRAME'].includes(activeElement.tagName));
+            
+            if (hasOwnFocus && isFillableElement(activeElement)) {
+                // Prefer the form of the focused field
+                await fillFormOf(activeElement, { profileName: message.profileName });
+            } else if (hasOwnFocus || (window === window.top && !document.hasFocus())) {
+                requestFormCompletion({ profileName: message.profileName });
+            }
+        }
+        
+    } else if (message.action === "fillField") {
+        
+        // Fill only the focused field, in the frame which has the focus
+        const field = getDeepActiveElement();
+        if (document.hasFocus() && isFillableElement(field)) {
+            await fillFormOf(field, { field });
+        }
+        
+    } else if (message.action === "draftAnswer") {
+        
+        // Draft an answer for the field the context menu was opened on
+        if (isOpenEndedField(contextMenuTarget)) {
+            await openDraftPanel(contextMenuTarget);
+        } else {
+            showToast('Form Butler drafts answers for text areas only.');
+        }
+        
+    } else if (message.action === "draftAnswerReady" || message.action === "draftAnswerError") {
+        
+        // Ignore the drafts of closed panels and superseded requests
+        if (!activeDraft || activeDraft.requestId !== message.requestId) {
+            return;
+        }
+        
+        const text = activeDraft.panel.querySelector('.form-butler-draft-text');
+        text.disabled = false;
+        
+        if (message.action === "draftAnswerReady") {
+            activeDraft.panel.querySelector('.form-butler-review-header').textContent = message.profileName 
+            ? `Form Butler: suggested answer (profile "${message.profileName}")` 
+            : 'Form Butler: suggested answer';
+            text.value = message.answer;
+            activeDraft.updateStatus();
+            text.focus();
+        } else {
+            console.error('Answer draft error:', message.error);
+            activeDraft.panel.querySelector('.form-butler-draft-status').textContent = `Could not draft an answer: ${message.error}`;
+        }
+        
+    } else if (message.action === "profileSuggestionsReady") {
+        
+        await showPendingProfileSuggestions();
+        
+    } else if (message.action === "showNotice") {
+        
+        // Notices are shown once, by the top frame
+        if (window === window.top) {
+            showToast(message.text);
+        }
     }
-});
\ No newline at end of file
+}
\ No newline at end of file
@@ -0,0 +1,446 @@
+/**
+* Manages the stored form completions (the formsData array of
+* chrome.storage.local) from the options page.
+* This class handles various operations related to stored forms, including:
+* - Listing the stored forms grouped by site, with their last use
+* - Viewing and editing the stored fill instructions of a form
+* - Re-running the completion of a form with the current profile
+* - Deleting a stored form or all the forms of a site
+*
+* The forms are collected, stored and pruned by the content script.
+*/
+class FormsDataManager {
+    constructor() {
+        this.containerElement = null;
+        this.mode = null;
+
+        // DOM element references
+        this.searchInput = null;
+        this.formsList = null;
+        this.formsStatus = null;
+
+        // Stored forms and the key of the form whose details are open
+        this.formsData = [];
+        this.openFormKey = null;
+
+        // Instructions shown in the open editor, as they were when it opened
+        this.editedInstructions = [];
+    }
+
+    /**
+    * Initializes the FormsDataManager by loading the stored forms and, on the
+    * options page, rendering their list.
+    *
+    * @param {string} [containerElement="#forms-data-manager-container"] - The
+    * selector for the container element
+    * @param {string} [mode='editing'] - The mode of operation (only 'editing'
+    * is supported)
+    * @returns {Promise<void>}
+    */
+    async init(containerElement = "#forms-data-manager-container", mode = 'editing') {
+        const result = await chrome.storage.local.get('formsData');
+        this.formsData = result.formsData || [];
+
+        this.mode = mode;
+
+        if (!this.isValidPage()) {
+            console.log('Forms data manager initialized in no-UI mode');
+            return;
+        }
+
+        this.containerElement = document.querySelector(containerElement);
+
+        if (!this.containerElement) {
+            console.log('Forms data manager container element not found');
+            return;
+        }
+
+        this.initializeDOMReferences();
+        this.initializeEventListeners();
+        this.renderForms();
+    }
+
+    /**
+    * Checks if the current page is the options page or the popup page.
+    * @returns {boolean} True if the current page is the options page or the popup page, false otherwise.
+    */
+    isValidPage() {
+        return location.pathname.includes('options.html') || location.pathname.includes('popup.html');
+    }
+
+    /**
+    * Initializes DOM element references, generating the UI in the container
+    * element.
+    */
+    initializeDOMReferences() {
+        if (this.containerElement && this.mode === 'editing') {
+            this.createEditingUI();
+        }
+
+        this.searchInput = this.containerElement.querySelector('#stored-forms-search');
+        this.formsList = this.containerElement.querySelector('#stored-forms-list');
+        this.formsStatus = this.containerElement.querySelector('#stored-forms-status');
+    }
+
+    /**
+    * Generates the editing UI using the provided HTML structure and appends it to the container element.
+    */
+    createEditingUI() {
+        const editingTemplate = `
+            <div class="options-form">
+                <div class="form-group">
+                    <div class="input-group">
+                        <span class="input-group-text"><i class="bi bi-search"></i></span>
+                        <input type="text" id="stored-forms-search" class="form-control" placeholder="Search sites">
+                    </div>
+                </div>
+                <div id="stored-forms-status" class="status-message mb-2"></div>
+                <div id="stored-forms-list">
+                    <!-- Stored forms will be dynamically populated here -->
+                </div>
+            </div>
+        `;
+        this.containerElement.innerHTML = editingTemplate;
+    }
+
+    /**
+    * Sets up event listeners for various UI elements to handle user interactions.
+    */
+    initializeEventListeners() {
+        if (!this.isValidPage() || this.mode !== 'editing') return;
+
+        this.searchInput.addEventListener('input', () => this.renderForms());
+        this.formsList.addEventListener('click', (event) => this.onListClick(event));
+
+        // Forms are added and updated by the content script while browsing.
+        // The list is not rendered again while an editor is open, not to lose
+        // the edits: it is once the editor is closed or saved
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area === 'local' && changes.formsData) {
+                this.formsData = changes.formsData.newValue || [];
+
+                if (!this.formsList.querySelector('.stored-form-editor')) {
+                    this.renderForms();
+                }
+            }
+        });
+
+        // Result of a completion re-run by the background script
+        chrome.runtime.onMessage.addListener((message) => {
+            if (message.action === 'formCompletionRerun') {
+                this.showStatus(message.error ? `Could not re-run the completion: ${message.error}` : 'Completion updated.', Boolean(message.error));
+            }
+        });
+    }
+
+    /**
+    * Builds the key identifying a stored form.
+    * @param {Object} form - The stored form.
+    * @returns {string} The key, made of the form URL and ID.
+    */
+    getFormKey(form) {
+        return `${form.url}|${form.id}`;
+    }
+
+    /**
+    * Retrieves a stored form by its key.
+    * @param {string} key - The key of the form.
+    * @returns {Object|undefined} The stored form.
+    */
+    getForm(key) {
+        return this.formsData.find(form => this.getFormKey(form) === key);
+    }
+
+    /**
+    * Retrieves the site of a stored form.
+    * @param {Object} form - The stored form.
+    * @returns {string} The host name of the form URL.
+    */
+    getSite(form) {
+        try {
+            return new URL(form.url).hostname || form.url;
+        } catch (error) {
+            return form.url;
+        }
+    }
+
+    /**
+    * Retrieves the path of a stored form.
+    * @param {Object} form - The stored form.
+    * @returns {string} The path of the form URL.
+    */
+    getPath(form) {
+        try {
+            return new URL(form.url).pathname;
+        } catch (error) {
+            return form.url;
+        }
+    }
+
+    /**
+    * Renders the stored forms grouped by site, most recently used first,
+    * filtered by the search input.
+    */
+    renderForms() {
+        if (!this.formsList) return;
+
+        const search = this.searchInput.value.trim().toLowerCase();
+        const sites = {};
+
+        [...this.formsData]
+        .sort((a, b) => (b.lastUsedAt || 0) - (a.lastUsedAt || 0))
+        .filter(form => !search || form.url.toLowerCase().includes(search))
+        .forEach(form => {
+            const site = this.getSite(form);
+            (sites[site] = sites[site] || []).push(form);
+        });
+
+        this.formsList.innerHTML = '';
+
+        if (Object.keys(sites).length === 0) {
+            this.formsList.innerHTML = '<p class="text-muted">No stored forms.</p>';
+            return;
+        }
+
+        Object.entries(sites).forEach(([site, forms]) => {
+            const header = document.createElement('div');
+            header.className = 'd-flex justify-content-between align-items-center mt-3 mb-1';
+            header.innerHTML = `
+                <h6 class="mb-0"></h6>
+                <button type="button" class="btn btn-sm btn-outline-danger" data-action="delete-site">Delete site</button>
+            `;
+            header.querySelector('h6').textContent = `${site} (${forms.length})`;
+            header.querySelector('button').dataset.site = site;
+
+            const list = document.createElement('ul');
+            list.className = 'list-group';
+            forms.forEach(form => list.appendChild(this.createFormItem(form)));
+
+            this.formsList.append(header, list);
+        });
+    }
+
+    /**
+    * Creates the list item of a stored form, with its actions and, if open,
+    * its fill instructions.
+    * @param {Object} form - The stored form.
+    * @returns {HTMLElement} The list item.
+    */
+    createFormItem(form) {
+        const key = this.getFormKey(form);
+        const instructions = form.fillInstructions || [];
+        const lastUsed = form.lastUsedAt ? new Date(form.lastUsedAt).toLocaleString() : 'unknown';
+
+        const item = document.createElement('li');
+        item.className = 'list-group-item';
+        item.dataset.key = key;
+        item.innerHTML = `
+            <div class="d-flex justify-content-between align-items-start">
+                <div>
+                    <div class="stored-form-path"></div>
+                    <small class="text-muted stored-form-meta"></small>
+                </div>
+                <div class="btn-group btn-group-sm">
+                    <button type="button" class="btn btn-outline-secondary" data-action="toggle" title="View and edit"><i class="bi bi-pencil"></i></button>
+                    <button type="button" class="btn btn-outline-secondary" data-action="rerun" title="Re-run the completion"><i class="bi bi-arrow-repeat"></i></button>
+                    <button type="button" class="btn btn-outline-danger" data-action="delete" title="Delete"><i class="bi bi-trash"></i></button>
+                </div>
+            </div>
+        `;
+        item.querySelector('.stored-form-path').textContent = `${this.getPath(form)} · ${form.id}`;
+        item.querySelector('.stored-form-meta').textContent =
+        `${instructions.length} instructions, ${form.fulfilled ? 'completed' : 'not completed'}, last used ${lastUsed}`;
+
+        if (this.openFormKey === key) {
+            item.appendChild(this.createInstructionsEditor(form));
+        }
+
+        return item;
+    }
+
+    /**
+    * Creates the editor of the fill instructions of a stored form: one row per
+    * instruction with its value, card values being masked and read-only.
+    * @param {Object} form - The stored form.
+    * @returns {HTMLElement} The editor element.
+    */
+    createInstructionsEditor(form) {
+        const editor = document.createElement('div');
+        editor.className = 'stored-form-editor mt-2';
+
+        const instructions = form.fillInstructions || [];
+        const results = form.fillResults || [];
+
+        this.editedInstructions = instructions;
+
+        if (instructions.length === 0) {
+            editor.innerHTML = '<p class="text-muted mb-0">No fill instructions stored.</p>';
+            return editor;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'table table-sm align-middle mb-2';
+        table.innerHTML = '<thead><tr><th></th><th>Field</th><th>Value</th><th>Last fill</th></tr></thead><tbody></tbody>';
+
+        instructions.forEach((instruction, index) => {
+            const isCard = instruction.source === 'card';
+            const result = results.find(item => item.selector === instruction.selector);
+
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td><input type="checkbox" class="form-check-input" checked title="Keep this instruction"></td>
+                <td><code></code></td>
+                <td><input type="text" class="form-control form-control-sm"></td>
+                <td><small class="text-muted"></small></td>
+            `;
+            row.dataset.index = index;
+            row.querySelector('code').textContent = instruction.selector;
+
+            const valueInput = row.querySelector('input[type="text"]');
+            valueInput.value = isCard ? '••••' : Array.isArray(instruction.value) ? instruction.value.join(', ') : String(instruction.value ?? '');
+            valueInput.disabled = isCard;
+
+            row.querySelector('small').textContent = result ? result.status : '';
+            table.tBodies[0].appendChild(row);
+        });
+
+        const saveButton = document.createElement('button');
+        saveButton.type = 'button';
+        saveButton.className = 'btn btn-primary btn-sm';
+        saveButton.dataset.action = 'save';
+        saveButton.textContent = 'Save Instructions';
+
+        editor.append(table, saveButton);
+        return editor;
+    }
+
+    /**
+    * Handles the clicks on the actions of the list.
+    * @param {Event} event - The click event.
+    */
+    onListClick(event) {
+        const button = event.target.closest('[data-action]');
+        if (!button) return;
+
+        const item = button.closest('[data-key]');
+        const key = item ? item.dataset.key : null;
+
+        switch (button.dataset.action) {
+            case 'toggle':
+                this.openFormKey = this.openFormKey === key ? null : key;
+                this.renderForms();
+                break;
+            case 'save':
+                this.saveInstructions(key, item);
+                break;
+            case 'rerun':
+                this.rerunCompletion(key);
+                break;
+            case 'delete':
+                this.deleteForms(form => this.getFormKey(form) === key);
+                break;
+            case 'delete-site':
+                if (confirm(`Delete all the stored forms of ${button.dataset.site}?`)) {
+                    this.deleteForms(form => this.getSite(form) === button.dataset.site);
+                }
+                break;
+        }
+    }
+
+    /**
+    * Saves the fill instructions edited in the editor of a stored form.
+    * Unticked instructions are removed. The rows are matched with the
+    * instructions shown when the editor opened, as the stored ones may have
+    * changed since.
+    * @param {string} key - The key of the form.
+    * @param {HTMLElement} item - The list item of the form.
+    */
+    saveInstructions(key, item) {
+        const form = this.getForm(key);
+        if (!form) return;
+
+        const instructions = [];
+
+        item.querySelectorAll('tbody tr').forEach(row => {
+            const instruction = this.editedInstructions[row.dataset.index];
+            const valueInput = row.querySelector('input[type="text"]');
+
+            if (!row.querySelector('input[type="checkbox"]').checked) return;
+
+            if (valueInput.disabled) {
+                instructions.push(instruction);
+                return;
+            }
+
+            const value = Array.isArray(instruction.value)
+            ? valueInput.value.split(',').map(value => value.trim()).filter(Boolean)
+            : valueInput.value;
+
+            instructions.push({ ...instruction, value });
+        });
+
+        form.fillInstructions = instructions;
+        this.saveFormsDataToStorage('Instructions saved.');
+    }
+
+    /**
+    * Asks the background script to request a new completion of a stored form
+    * from the LLM, with the current profile. The stored instructions are
+    * replaced once the completion is ready.
+    * @param {string} key - The key of the form.
+    */
+    rerunCompletion(key) {
+        const form = this.getForm(key);
+        if (!form) return;
+
+        this.showStatus('Re-running the completion...');
+        chrome.runtime.sendMessage({ action: 'rerunFormCompletion', formId: form.id, url: form.url });
+    }
+
+    /**
+    * Deletes the stored forms matching a condition.
+    * @param {Function} predicate - Returns true for the forms to delete.
+    */
+    deleteForms(predicate) {
+        this.formsData = this.formsData.filter(form => !predicate(form));
+        this.saveFormsDataToStorage('Deleted.');
+    }
+
+    /**
+    * Shows a status message above the list.
+    * @param {string} message - The message.
+    * @param {boolean} [isError=false] - Whether the message is an error.
+    */
+    showStatus(message, isError = false) {
+        if (!this.formsStatus) return;
+
+        this.formsStatus.textContent = message;
+        this.formsStatus.classList.remove('hide', 'text-danger', 'text-success');
+        this.formsStatus.classList.add(isError ? 'text-danger' : 'text-success');
+    }
+
+    /**
+    * Saves the stored forms to Chrome's local storage and dispatches a
+    * formsDataSaved or formsDataSavingError event.
+    *
+    * @param {string} successMessage - The status shown if the save is successful
+    */
+    saveFormsDataToStorage(successMessage) {
+        chrome.storage.local.set({ formsData: this.formsData }, () => {
+            let evt;
+
+            if (chrome.runtime.lastError) {
+                console.error('Error saving forms data:', chrome.runtime.lastError);
+                evt = new CustomEvent('formsDataSavingError', { detail: { error: chrome.runtime.lastError.message } });
+                this.showStatus(`Error saving forms data: ${chrome.runtime.lastError.message}`, true);
+            } else {
+                console.log('Forms data saved');
+                evt = new CustomEvent('formsDataSaved');
+                this.showStatus(successMessage);
+            }
+
+            document.dispatchEvent(evt);
+            this.renderForms();
+        });
+    }
+}
@@ -13,6 +13,12 @@
 * - Profile search and filtering
 * - Default profile handling
 */
+// Largest document a profile can hold, in bytes
+const MAX_DOCUMENT_SIZE = 5 * 1024 * 1024;
+
+// Prefix of the chrome.storage.local keys holding the content of each document
+const DOCUMENT_STORAGE_PREFIX = 'profileDocument:';
+
 class ProfileManager {
     /**
     * Initialize the ProfileManager
@@ -25,6 +31,22 @@ class ProfileManager {
         this.currentProfile = null;
         this.profiles = [];
         
+        // Free-text background of each profile, by profile name. It is kept
+        // in chrome.storage.local as it can exceed the sync item quota
+        this.backgrounds = {};
+        
+        // Documents of each profile (CV, cover letter, ID scan...), by profile
+        // name, uploaded to file fields. Also kept in chrome.storage.local,
+        // without their content, which is stored under its own key
+        this.documents = {};
+        
+        // Documents of the edited profile, saved with the profile
+        this.editedDocuments = [];
+        
+        // Content of the documents added in the editing UI and not saved yet,
+        // as data URLs, by storage key
+        this.pendingDocumentData = {};
+        
         // DOM element references
         this.profileForm = null;
         this.profileSearchInput = null;
@@ -33,6 +55,10 @@ class ProfileManager {
         this.addFieldButton = null;
         this.saveButton = null;
         this.profileStatus = null;
+        this.backgroundInput = null;
+        this.documentsList = null;
+        this.documentLabelInput = null;
+        this.documentFileInput = null;
     }
     
     /**
@@ -46,6 +72,12 @@ class ProfileManager {
         this.profiles = result.profiles || [];
         const currentProfile = result.currentProfile || 'Default';
         
+        const { profileBackgrounds = {} } = await chrome.storage.local.get('profileBackgrounds');
+        this.backgrounds = profileBackgrounds;
+        
+        const { profileDocuments = {} } = await chrome.storage.local.get('profileDocuments');
+        this.documents = profileDocuments;
+        
         // Ensure there's at least a default profile
         if (this.profiles.length === 0) {
             this.profiles.push({ name: 'Default', info: this.getDefaultProfile() });
@@ -95,6 +127,10 @@ class ProfileManager {
         this.addFieldButton = this.containerElement.querySelector('#add-field-button');
         this.saveButton = this.containerElement.querySelector('#save-profile-button');
         this.profileStatus = this.containerElement.querySelector('#profile-status');
+        this.backgroundInput = this.containerElement.querySelector('#profile-background');
+        this.documentsList = this.containerElement.querySelector('#profile-documents-list');
+        this.documentLabelInput = this.containerElement.querySelector('#profile-document-label');
+        this.documentFileInput = this.containerElement.querySelector('#profile-document-file');
     }
     
     /**
@@ -125,6 +161,22 @@ class ProfileManager {
                         Add custom field
                     </span>
                 </div>
+                <div class="form-group">
+                    <label for="profile-background" class="form-label">Background</label>
+                    <textarea id="profile-background" class="form-control" rows="8" placeholder="Your experience, education, skills, motivations..."></textarea>
+                    <small class="form-text text-muted">Used to draft answers to open-ended questions (e.g. cover letters, motivations). It is sent to the LLM only when you ask for a draft.</small>
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Documents</label>
+                    <ul id="profile-documents-list" class="list-unstyled mb-2">
+                        <!-- Documents will be dynamically populated here -->
+                    </ul>
+                    <div class="input-group">
+                        <input type="text" id="profile-document-label" class="form-control" placeholder="Document name (e.g. CV, Cover letter, ID scan)">
+                        <input type="file" id="profile-document-file" class="form-control">
+                    </div>
+                    <small class="form-text text-muted">Uploaded to the file fields of the forms. Only their names are sent to the LLM, which picks the document fitting each field.</small>
+                </div>
                 <button type="button" id="save-profile-button" class="btn btn-primary">Save Profile</button>
                 <div id="profile-status" class="status-message mt-2"></div>
             </form>
@@ -168,6 +220,18 @@ class ProfileManager {
             if (this.saveButton) {
                 this.saveButton.addEventListener('click', () => this.saveProfile());
             }
+            if (this.documentFileInput) {
+                this.documentFileInput.addEventListener('change', () => this.addDocument());
+            }
+            if (this.documentsList) {
+                this.documentsList.addEventListener('click', (event) => {
+                    const deleteButton = event.target.closest('.delete-document');
+                    if (deleteButton) {
+                        this.editedDocuments = this.editedDocuments.filter(profileDocument => profileDocument.key !== deleteButton.dataset.key);
+                        this.renderDocuments();
+                    }
+                });
+            }
             if (this.profileForm) {
                 // Add delegate event listener for deleting custom fields
                 this.profileForm.addEventListener('click', (event) => {
@@ -237,6 +301,14 @@ class ProfileManager {
             this.addField(field);
         });
         
+        if (this.backgroundInput) {
+            this.backgroundInput.value = this.getBackground(this.currentProfile);
+        }
+        
+        this.editedDocuments = [...(this.documents[this.currentProfile] || [])];
+        this.pendingDocumentData = {};
+        this.renderDocuments();
+        
         // Update UI components
         this.updateDropdownMenu();
         this.updateSearchInput();
@@ -288,10 +360,123 @@ class ProfileManager {
         }
         this.currentProfile = profileName;
         
+        if (this.backgroundInput) {
+            this.backgrounds[profileName] = this.backgroundInput.value.trim();
+            await chrome.storage.local.set({ profileBackgrounds: this.backgrounds });
+        }
+        
+        if (this.documentsList) {
+            const documentData = Object.fromEntries(
+                this.editedDocuments
+                .filter(profileDocument => this.pendingDocumentData[profileDocument.storageKey])
+                .map(profileDocument => [profileDocument.storageKey, this.pendingDocumentData[profileDocument.storageKey]])
+            );
+            
+            await chrome.storage.local.set(documentData);
+            this.pendingDocumentData = {};
+            
+            const previousDocuments = this.documents[profileName] || [];
+            this.documents[profileName] = this.editedDocuments;
+            await this.saveDocumentsToStorage(previousDocuments);
+        }
+        
         // Save profiles and update UI
         this.saveProfilesToStorage();
     }
     
+    /**
+    * List the documents of the edited profile, with their file name and size
+    */
+    renderDocuments() {
+        if (!this.documentsList) return;
+        
+        this.documentsList.innerHTML = '';
+        
+        this.editedDocuments.forEach(profileDocument => {
+            const item = document.createElement('li');
+            item.className = 'd-flex align-items-center gap-2';
+            
+            const label = document.createElement('span');
+            label.textContent = profileDocument.label;
+            
+            const details = document.createElement('small');
+            details.className = 'text-muted';
+            details.textContent = `${profileDocument.name} (${Math.ceil(profileDocument.size / 1024)} KB)`;
+            
+            const deleteButton = document.createElement('i');
+            deleteButton.className = 'bi bi-x-circle text-danger delete-document';
+            deleteButton.title = 'Delete document';
+            deleteButton.dataset.key = profileDocument.key;
+            
+            item.append(label, details, deleteButton);
+            this.documentsList.appendChild(item);
+        });
+    }
+    
+    /**
+    * Add the file chosen in the editing UI to the documents of the edited
+    * profile, under the name typed by the user or its file name. The file is
+    * read as a data URL, as chrome.storage only holds JSON values, and stored
+    * when the profile is saved.
+    * @returns {Promise<void>}
+    */
+    async addDocument() {
+        const file = this.documentFileInput.files[0];
+        if (!file) return;
+        
+        if (file.size > MAX_DOCUMENT_SIZE) {
+            this.profileStatus.textContent = `${file.name} is too large (${Math.round(MAX_DOCUMENT_SIZE / 1024 / 1024)} MB at most).`;
+            this.profileStatus.classList.remove('hide');
+            this.documentFileInput.value = '';
+            return;
+        }
+        
+        const label = this.documentLabelInput.value.trim() || file.name.replace(/\.[^.]+$/, '');
+        
+        // Camelized key, like the ids of custom fields
+        const key = ProfileManager.generateFieldId(label) || 'document';
+        
+        const data = await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+        
+        // A document with the same name is replaced
+        this.editedDocuments = this.editedDocuments.filter(profileDocument => profileDocument.key !== key);
+        const storageKey = `${DOCUMENT_STORAGE_PREFIX}${crypto.randomUUID()}`;
+        this.pendingDocumentData[storageKey] = data;
+        this.editedDocuments.push({ key, label, name: file.name, type: file.type, size: file.size, storageKey });
+        
+        this.documentLabelInput.value = '';
+        this.documentFileInput.value = '';
+        this.renderDocuments();
+    }
+    
+    /**
+    * Save the list of documents of each profile to chrome.storage.local, and
+    * remove the content of the replaced or deleted documents no profile
+    * refers to anymore
+    * @param {Array<Object>} [previousDocuments=[]] - The documents the
+    * profile held before the change
+    * @returns {Promise<void>}
+    */
+    async saveDocumentsToStorage(previousDocuments = []) {
+        await chrome.storage.local.set({ profileDocuments: this.documents });
+        
+        const usedKeys = new Set(
+            Object.values(this.documents).flat().map(profileDocument => profileDocument.storageKey)
+        );
+        const unusedKeys = previousDocuments
+        .map(profileDocument => profileDocument.storageKey)
+        .filter(storageKey => !usedKeys.has(storageKey));
+        
+        if (unusedKeys.length > 0) {
+            await chrome.storage.local.remove(unusedKeys);
+        }
+    }
+    
     saveProfilesToStorage(successCallback = null) {
         if (this.saveButton) {
             this.saveButton.disabled = true;
@@ -340,6 +525,13 @@ class ProfileManager {
             profile => profile.name !== profileToDelete
         );
         
+        delete this.backgrounds[profileToDelete];
+        await chrome.storage.local.set({ profileBackgrounds: this.backgrounds });
+        
+        const previousDocuments = this.documents[profileToDelete] || [];
+        delete this.documents[profileToDelete];
+        await this.saveDocumentsToStorage(previousDocuments);
+        
         // Use the default profile if there are no profiles left
         if (this.profiles.length === 0) {
             this.profiles.push({ name: 'Default', info: this.getDefaultProfile() });
@@ -434,6 +626,142 @@ class ProfileManager {
         };
     }
     
+    /**
+    * Generate a sanitized, camelized field ID from a label
+    * @param {string} text - The label (e.g. "Passport number")
+    * @returns {string} The field ID (e.g. "PassportNumber")
+    */
+    static generateFieldId(text) {
+        // Convert the text to camelCase
+        return text.replace(/[^a-zA-Z0-9]+(.)/g, (m, chr) => chr.toUpperCase())
+        // Remove all non-alphanumeric characters
+        .replace(/[^a-zA-Z0-9]/g, '')
+        .replace(/^[a-z]/, chr => chr.toLowerCase());
+    }
+    
+    /**
+    * Find the key of a field, ignoring case: generated keys keep the case of
+    * the label, so "Passport number" and "passport number" are the same field
+    * @param {Object} fields - The fields, by key
+    * @param {string} key - The key to look for
+    * @returns {string|null} The key of the matching field, or null if none
+    */
+    static findFieldKey(fields, key) {
+        if (!key) return null;
+        if (fields[key]) return key;
+        
+        return Object.keys(fields).find(fieldKey => fieldKey.toLowerCase() === key.toLowerCase()) || null;
+    }
+    
+    /**
+    * Add values to a profile and save the profiles, without UI. Values with
+    * the key of an existing field fill it, the others are added as custom
+    * fields, after the existing ones. A label whose generated key is taken
+    * only fills that field if it is empty, keeping its metadata.
+    * @param {string} name - The name of the profile
+    * @param {Array<Object>} fields - The fields: label, value, type and
+    * optionally the key of an existing field
+    * @returns {Promise<Array<string>>} The keys of the saved fields
+    */
+    async addFields(name, fields) {
+        const profile = this.profiles.find(p => p.name === name);
+        
+        if (!profile) {
+            console.warn('Profile not found:', name);
+            return [];
+        }
+        
+        const existingFields = { ...this.getDefaultProfile(), ...profile.info };
+        let position = Math.max(0, ...Object.values(existingFields).map(field => field.position || 0));
+        const savedKeys = [];
+        
+        fields.forEach(({ key, label, value, type }) => {
+            const existingField = key && existingFields[key];
+            
+            if (existingField) {
+                profile.info[key] = { ...existingField, value: value };
+            } else {
+                key = ProfileManager.generateFieldId(label);
+                if (!key) return;
+                
+                // The label may be edited into the one of an existing field
+                const namesakeKey = ProfileManager.findFieldKey(existingFields, key);
+                const namesakeField = namesakeKey && existingFields[namesakeKey];
+                
+                if (namesakeField) {
+                    key = namesakeKey;
+                    
+                    if (String(namesakeField.value ?? '').trim() !== '') {
+                        console.log('Profile field already filled, value not added:', key);
+                        return;
+                    }
+                    
+                    profile.info[key] = { ...namesakeField, value: value };
+                    savedKeys.push(key);
+                    return;
+                }
+                
+                profile.info[key] = {
+                    id: key,
+                    label: label,
+                    type: ['email', 'tel', 'date', 'number', 'url'].includes(type) ? type : 'text',
+                    value: value,
+                    position: ++position,
+                    isCustomField: true
+                };
+            }
+            
+            savedKeys.push(key);
+        });
+        
+        await chrome.storage.sync.set({ profiles: this.profiles });
+        console.log('Fields added to profile:', name, savedKeys);
+        
+        return savedKeys;
+    }
+    
+    /**
+    * Update the value of a profile field and save the profiles, without UI
+    * @param {string} name - The name of the profile
+    * @param {string} key - The key of the field
+    * @param {string} value - The new value
+    * @returns {Promise<boolean>} True if the field was updated
+    */
+    async updateFieldValue(name, key, value) {
+        const profile = this.profiles.find(p => p.name === name);
+        const field = profile && (profile.info[key] || this.getDefaultProfile()[key]);
+        
+        if (!field) {
+            console.warn('Profile field not found:', key, 'in profile:', name);
+            return false;
+        }
+        
+        profile.info[key] = { ...field, value: value };
+        await chrome.storage.sync.set({ profiles: this.profiles });
+        console.log('Profile field updated:', key, 'in profile:', name);
+        
+        return true;
+    }
+    
+    /**
+    * Get the background text of a profile
+    * @param {string} [name] - The name of the profile, defaults to the current profile
+    * @returns {string} The background text, empty if none was written
+    */
+    getBackground(name = null) {
+        return this.backgrounds[name || this.currentProfile] || '';
+    }
+    
+    /**
+    * Get the documents of a profile, without their content, as sent to the LLM
+    * @param {string} [name] - The name of the profile, defaults to the current profile
+    * @returns {Array<Object>} The documents: key, label, file name and type
+    */
+    getDocuments(name = null) {
+        return (this.documents[name || this.currentProfile] || [])
+        .map(({ key, label, name, type }) => ({ key, label, fileName: name, type }));
+    }
+    
     /**
     * Display the profile dropdown menu
     */
@@ -633,18 +961,9 @@ class ProfileManager {
                 input.placeholder = field.placeholder;
             }
             
-            // Function to generate a sanitized, camelized ID from the label text
-            const generateFieldId = (text) => {
-                // Convert the text to camelCase
-                return text.replace(/[^a-zA-Z0-9]+(.)/g, (m, chr) => chr.toUpperCase())
-                // Remove all non-alphanumeric characters
-                .replace(/[^a-zA-Z0-9]/g, '')
-                .replace(/^[a-z]/, chr => chr.toLowerCase());
-            };
-            
             // Function to update the input's ID based on the label's content
             const updateFieldId = () => {
-                const sanitizedId = generateFieldId(label.textContent);
+                const sanitizedId = ProfileManager.generateFieldId(label.textContent);
                 input.id = sanitizedId;
                 input.name = sanitizedId;
             };
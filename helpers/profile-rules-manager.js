@@ -0,0 +1,294 @@
+/**
+* Manages the rules selecting a profile and a card automatically.
+* This class handles various operations related to profile rules, including:
+* - Loading the rules from storage and matching them against a form
+* - Editing the rules from the options page
+*
+* Rules are stored as an ordered list under the profileRules key of
+* chrome.storage.sync. Each rule matches a URL pattern, a form category
+* (work, personal or travel, detected by the content script) or both, and
+* selects a profile and optionally a card. The first matching rule wins.
+*/
+class ProfileRulesManager {
+    constructor() {
+        this.containerElement = null;
+        this.mode = null;
+
+        // DOM element references
+        this.rulesList = null;
+        this.addRuleButton = null;
+        this.saveButton = null;
+        this.rulesStatus = null;
+
+        // Ordered rules
+        this.rules = [];
+
+        // Names of the profiles and cards the rules can select
+        this.choices = { profile: [], card: [] };
+    }
+
+    /**
+    * Initializes the ProfileRulesManager by loading the rules from storage
+    * and, on the options page, generating their UI.
+    *
+    * @param {string} [containerElement="#profile-rules-manager-container"] -
+    * The selector for the container element
+    * @param {string} [mode='editing'] - The mode of operation (only 'editing'
+    * is supported)
+    * @returns {Promise<void>}
+    */
+    async init(containerElement = "#profile-rules-manager-container", mode = 'editing') {
+        const { profileRules = [] } = await chrome.storage.sync.get('profileRules');
+        this.rules = profileRules;
+
+        this.mode = mode;
+
+        if (!this.isValidPage()) {
+            console.log('Profile rules manager initialized in no-UI mode');
+            return;
+        }
+
+        this.containerElement = document.querySelector(containerElement);
+
+        if (!this.containerElement) {
+            console.log('Profile rules manager container element not found');
+            return;
+        }
+
+        const { profiles = [], cards = [] } = await chrome.storage.sync.get(['profiles', 'cards']);
+        this.choices = {
+            profile: profiles.map(profile => profile.name),
+            card: cards.map(card => card.name)
+        };
+
+        this.initializeDOMReferences();
+        this.initializeEventListeners();
+        this.loadFields();
+    }
+
+    /**
+    * Checks if the current page is the options page or the popup page.
+    * @returns {boolean} True if the current page is the options page or the popup page, false otherwise.
+    */
+    isValidPage() {
+        return location.pathname.includes('options.html') || location.pathname.includes('popup.html');
+    }
+
+    /**
+    * Get the form categories detected by the content script
+    * @returns {Object} The category labels, by category
+    */
+    getCategories() {
+        return { work: 'Work', personal: 'Personal', travel: 'Travel' };
+    }
+
+    /**
+    * Checks whether a URL matches a rule pattern. A pattern without "/" nor
+    * "*" is a domain, also matching its subdomains; otherwise it is matched
+    * against the hostname and path of the URL, "*" matching any text.
+    * @param {string} url - The URL to check.
+    * @param {string} pattern - The rule pattern (e.g. "vendor.com" or "*.vendor.com/portal/*").
+    * @returns {boolean} True if the URL matches the pattern.
+    */
+    static matchesPattern(url, pattern) {
+        let hostname, path;
+
+        try {
+            const parsedUrl = new URL(url);
+            hostname = parsedUrl.hostname.toLowerCase().replace(/^www\./, '');
+            path = parsedUrl.pathname.toLowerCase();
+        } catch (error) {
+            return false;
+        }
+
+        // Hostnames are compared without "www.", on both sides
+        pattern = pattern.trim().toLowerCase().replace(/^[a-z][a-z\d+.-]*:\/\//, '').replace(/^www\./, '');
+
+        if (!pattern.includes('/') && !pattern.includes('*')) {
+            return hostname === pattern || hostname.endsWith(`.${pattern}`);
+        }
+
+        const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+        return regex.test(`${hostname}${path}`) || regex.test(hostname);
+    }
+
+    /**
+    * Get the first rule matching a form
+    * @param {string} url - The URL of the form
+    * @param {string} [category] - The detected category of the form
+    * @returns {Object|null} The rule (pattern, category, profile, card), or null if none matches
+    */
+    getRule(url, category = null) {
+        return this.rules.find(rule =>
+            (rule.pattern || rule.category) &&
+            (!rule.pattern || ProfileRulesManager.matchesPattern(url, rule.pattern)) &&
+            (!rule.category || rule.category === category)
+        ) || null;
+    }
+
+    /**
+    * Initializes DOM element references, generating the UI in the container
+    * element.
+    */
+    initializeDOMReferences() {
+        if (this.containerElement && this.mode === 'editing') {
+            this.createEditingUI();
+        }
+
+        this.rulesList = this.containerElement.querySelector('#profile-rules-list');
+        this.addRuleButton = this.containerElement.querySelector('#add-profile-rule-button');
+        this.saveButton = this.containerElement.querySelector('#save-profile-rules-button');
+        this.rulesStatus = this.containerElement.querySelector('#profile-rules-status');
+    }
+
+    /**
+    * Generates the editing UI using the provided HTML structure and appends it to the container element.
+    */
+    createEditingUI() {
+        const editingTemplate = `
+            <form id="profile-rules-form" class="options-form">
+                <p class="form-text">
+                    Select a profile and a card automatically by URL pattern (e.g. <code>vendor.com</code> or
+                    <code>*.vendor.com/portal/*</code>), by form category, or both. The first matching rule wins,
+                    before the profile and card of the site rules.
+                </p>
+                <div id="profile-rules-list">
+                    <!-- Profile rules will be dynamically populated here -->
+                </div>
+                <div id="add-profile-rule-button" class="form-group">
+                    <span class="add-field-label">
+                        <i class="bi bi-plus-circle text-success add-field hide showOnHover"></i>
+                        Add profile rule
+                    </span>
+                </div>
+                <button type="button" id="save-profile-rules-button" class="btn btn-primary">Save Profile Rules</button>
+                <div id="profile-rules-status" class="status-message mt-2"></div>
+            </form>
+        `;
+        this.containerElement.innerHTML = editingTemplate;
+    }
+
+    /**
+    * Sets up event listeners for various UI elements to handle user interactions.
+    */
+    initializeEventListeners() {
+        if (!this.isValidPage() || this.mode !== 'editing') return;
+
+        this.addRuleButton.addEventListener('click', () => this.addRule());
+        this.saveButton.addEventListener('click', () => this.saveRules());
+        this.rulesList.addEventListener('click', (event) => {
+            const deleteButton = event.target.closest('.delete-profile-rule');
+            if (deleteButton) {
+                deleteButton.closest('.profile-rule').remove();
+            }
+        });
+    }
+
+    /**
+    * Generates a row for each rule, in their order.
+    */
+    loadFields() {
+        if (!this.isValidPage() || !this.rulesList) return;
+
+        this.rulesList.innerHTML = '';
+        this.rules.forEach(rule => this.addRule(rule));
+    }
+
+    /**
+    * Adds a rule row to the rules list
+    * @param {Object} [rule] - The rule, empty by default
+    */
+    addRule(rule = {}) {
+        const row = document.createElement('div');
+        row.className = 'profile-rule form-group d-flex align-items-start gap-2';
+
+        const patternInput = document.createElement('input');
+        patternInput.type = 'text';
+        patternInput.className = 'form-control';
+        patternInput.placeholder = 'Any URL';
+        patternInput.value = rule.pattern || '';
+        patternInput.dataset.ruleKey = 'pattern';
+
+        const createSelect = (key, options, selected) => {
+            const select = document.createElement('select');
+            select.className = 'form-select';
+            select.dataset.ruleKey = key;
+            options.forEach(option => {
+                select.appendChild(new Option(option.label, option.value, false, option.value === selected));
+            });
+            return select;
+        };
+
+        const categories = Object.entries(this.getCategories()).map(([value, label]) => ({ value, label: `${label} forms` }));
+
+        const deleteButton = document.createElement('i');
+        deleteButton.className = 'bi bi-x-circle text-danger delete-profile-rule mt-2';
+        deleteButton.title = 'Delete rule';
+
+        row.append(
+            patternInput,
+            createSelect('category', [{ value: '', label: 'Any form' }, ...categories], rule.category || ''),
+            createSelect('profile', this.choices.profile.map(name => ({ value: name, label: name })), rule.profile),
+            createSelect('card', [{ value: '', label: 'Current card' }, ...this.choices.card.map(name => ({ value: name, label: name }))], rule.card || ''),
+            deleteButton
+        );
+
+        this.rulesList.appendChild(row);
+    }
+
+    /**
+    * Save the rules edited in the editing UI, in their order. Rules without
+    * a pattern nor a category, or without a profile, are dropped.
+    */
+    saveRules() {
+        if (!this.rulesList) return;
+
+        this.saveButton.disabled = true;
+
+        this.rules = [...this.rulesList.querySelectorAll('.profile-rule')]
+        .map(row => {
+            const values = Object.fromEntries(
+                [...row.querySelectorAll('[data-rule-key]')].map(input => [input.dataset.ruleKey, input.value.trim()])
+            );
+
+            return {
+                pattern: values.pattern,
+                category: values.category || null,
+                profile: values.profile,
+                card: values.card || null
+            };
+        })
+        .filter(rule => (rule.pattern || rule.category) && rule.profile);
+
+        this.saveRulesToStorage(() => this.loadFields());
+    }
+
+    /**
+    * Saves the rules to Chrome's sync storage and dispatches a
+    * profileRulesSaved or profileRulesSavingError event.
+    *
+    * @param {Function} successCallback - Function to be called if the save is
+    * successful
+    */
+    saveRulesToStorage(successCallback = null) {
+        chrome.storage.sync.set({ profileRules: this.rules }, () => {
+            let evt;
+
+            if (chrome.runtime.lastError) {
+                console.error('Error saving profile rules:', chrome.runtime.lastError);
+                evt = new CustomEvent('profileRulesSavingError', { detail: { error: chrome.runtime.lastError.message } });
+            } else {
+                console.log('Profile rules saved');
+                evt = new CustomEvent('profileRulesSaved');
+                if (successCallback) {
+                    successCallback();
+                }
+            }
+
+            document.dispatchEvent(evt);
+            if (this.saveButton) {
+                this.saveButton.disabled = false;
+            }
+        });
+    }
+}
@@ -0,0 +1,416 @@
+/**
+* Manages the general settings of the Chrome extension.
+* This class handles various operations related to settings, including:
+* - Loading settings from storage, falling back to their default values
+* - Generating the settings form from the settings definitions
+* - Saving the settings edited by the user
+*
+* Each setting is stored under its own key in chrome.storage.sync, so that it
+* can also be read directly with chrome.storage.sync.get.
+*/
+class SettingsManager {
+    constructor() {
+        this.containerElement = null;
+        this.mode = null;
+
+        // DOM element references
+        this.settingsForm = null;
+        this.saveButton = null;
+        this.settingsStatus = null;
+
+        // Current setting values, by setting ID
+        this.settings = {};
+    }
+
+    /**
+    * Initializes the SettingsManager by loading the settings from storage and,
+    * on the options page, generating the settings form.
+    *
+    * @param {string} [containerElement="#settings-manager-container"] - The
+    * selector for the container element
+    * @param {string} [mode='editing'] - The mode of operation (only 'editing'
+    * is supported)
+    * @returns {Promise<void>}
+    */
+    async init(containerElement = "#settings-manager-container", mode = 'editing') {
+        const definitions = this.getDefaultSettings();
+        const result = await chrome.storage.sync.get(Object.keys(definitions));
+
+        this.settings = Object.fromEntries(
+            Object.entries(definitions).map(([id, definition]) => [id, result[id] ?? definition.value])
+        );
+
+        this.mode = mode;
+
+        if (!this.isValidPage()) {
+            console.log('Settings manager initialized in no-UI mode');
+            return;
+        }
+
+        this.containerElement = document.querySelector(containerElement);
+
+        if (!this.containerElement) {
+            console.log('Settings manager container element not found');
+            return;
+        }
+
+        this.initializeDOMReferences();
+        this.initializeEventListeners();
+        this.loadFields();
+    }
+
+    /**
+    * Checks if the current page is the options page or the popup page.
+    * @returns {boolean} True if the current page is the options page or the popup page, false otherwise.
+    */
+    isValidPage() {
+        return location.pathname.includes('options.html') || location.pathname.includes('popup.html');
+    }
+
+    /**
+    * Get the settings definitions with their default values
+    * @returns {Object} An object containing the settings definitions, by ID
+    */
+    getDefaultSettings() {
+        return {
+            formDescriptionMode: {
+                id: 'formDescriptionMode',
+                label: 'Form description sent to the LLM',
+                type: 'select',
+                options: [
+                    { value: 'html', label: 'Simplified HTML' },
+                    { value: 'manifest', label: 'Compact field list (JSON)' }
+                ],
+                value: 'html',
+                help: 'The field list uses fewer tokens and lets the LLM reference fields by index instead of CSS selectors.',
+                position: 1
+            },
+            reviewBeforeFill: {
+                id: 'reviewBeforeFill',
+                label: 'Review values before filling',
+                type: 'checkbox',
+                value: false,
+                help: 'Show the proposed values on the form, to untick or edit them before they are written. The choice can be remembered per site.',
+                position: 2
+            },
+            confidenceThreshold: {
+                id: 'confidenceThreshold',
+                label: 'Minimum confidence to fill a field',
+                type: 'number',
+                min: 0,
+                max: 1,
+                step: 0.05,
+                value: 0,
+                help: 'Fields the LLM is less confident about (0 to 1) are left empty. Filled fields below 0.7 are highlighted.',
+                position: 3
+            },
+            formsRetentionDays: {
+                id: 'formsRetentionDays',
+                label: 'Keep stored forms for (days)',
+                type: 'number',
+                min: 0,
+                step: 1,
+                value: 90,
+                help: 'Stored forms not used for this number of days are deleted. 0 keeps them forever.',
+                position: 4
+            },
+            maxStoredForms: {
+                id: 'maxStoredForms',
+                label: 'Maximum number of stored forms',
+                type: 'number',
+                min: 10,
+                step: 1,
+                value: 200,
+                help: 'The least recently used forms are deleted beyond this number.',
+                position: 5
+            },
+            draftSuggestions: {
+                id: 'draftSuggestions',
+                label: 'Offer to draft answers to open-ended questions',
+                type: 'checkbox',
+                value: true,
+                help: 'Show a "Draft answer" button on empty text areas. Drafts are written from the background of your profile and shown for editing before being inserted.',
+                position: 6
+            },
+            draftLength: {
+                id: 'draftLength',
+                label: 'Default length of drafted answers',
+                type: 'select',
+                options: [
+                    { value: 'short', label: 'Short (about 50 words)' },
+                    { value: 'medium', label: 'Medium (about 150 words)' },
+                    { value: 'long', label: 'Long (about 300 words)' }
+                ],
+                value: 'medium',
+                position: 7
+            },
+            draftTone: {
+                id: 'draftTone',
+                label: 'Default tone of drafted answers',
+                type: 'select',
+                options: [
+                    { value: 'professional', label: 'Professional' },
+                    { value: 'formal', label: 'Formal' },
+                    { value: 'friendly', label: 'Friendly' },
+                    { value: 'enthusiastic', label: 'Enthusiastic' }
+                ],
+                value: 'professional',
+                position: 8
+            },
+            maxCorrectionRounds: {
+                id: 'maxCorrectionRounds',
+                label: 'Maximum correction rounds',
+                type: 'number',
+                min: 0,
+                max: 5,
+                step: 1,
+                value: 1,
+                help: 'After a fill, the fields rejected by the page are sent back to the LLM with the error shown, to be corrected. 0 only reports them.',
+                position: 9
+            },
+            profileSuggestions: {
+                id: 'profileSuggestions',
+                label: 'Offer to save typed data to the profile',
+                type: 'checkbox',
+                value: false,
+                help: 'When a form is submitted, the values you typed which are not in your profile are sent to the LLM, which picks the reusable ones (e.g. passport number) to offer adding them as custom fields.',
+                position: 10
+            },
+            consentPolicy: {
+                id: 'consentPolicy',
+                label: 'Consent checkboxes',
+                type: 'select',
+                options: [
+                    { value: 'never', label: 'Never fill (not sent to the LLM)' },
+                    { value: 'allow', label: 'Let the LLM fill them' }
+                ],
+                value: 'never',
+                help: 'Checkboxes consenting to the processing or sharing of your data, or to a privacy policy. Passwords, one-time codes, security questions and captchas are never filled.',
+                position: 11
+            },
+            newsletterPolicy: {
+                id: 'newsletterPolicy',
+                label: 'Newsletter opt-ins',
+                type: 'select',
+                options: [
+                    { value: 'never', label: 'Never fill (not sent to the LLM)' },
+                    { value: 'allow', label: 'Let the LLM fill them' }
+                ],
+                value: 'never',
+                help: 'Checkboxes subscribing to newsletters, marketing emails or offers.',
+                position: 12
+            },
+            termsPolicy: {
+                id: 'termsPolicy',
+                label: 'Terms acceptance',
+                type: 'select',
+                options: [
+                    { value: 'never', label: 'Never fill (not sent to the LLM)' },
+                    { value: 'allow', label: 'Let the LLM fill them' }
+                ],
+                value: 'never',
+                help: 'Checkboxes accepting terms and conditions or terms of service.',
+                position: 13
+            }
+        };
+    }
+
+    /**
+    * Get the value of a setting
+    * @param {string} id - The ID of the setting
+    * @returns {*} The setting value, or its default value if not set
+    */
+    getSetting(id) {
+        if (id in this.settings) {
+            return this.settings[id];
+        }
+
+        const definition = this.getDefaultSettings()[id];
+        return definition ? definition.value : undefined;
+    }
+
+    /**
+    * Initializes DOM element references, generating the UI in the container
+    * element.
+    */
+    initializeDOMReferences() {
+        if (this.containerElement && this.mode === 'editing') {
+            this.createEditingUI();
+        }
+
+        this.settingsForm = this.containerElement.querySelector('#settings-fields');
+        this.saveButton = this.containerElement.querySelector('#save-settings-button');
+        this.settingsStatus = this.containerElement.querySelector('#settings-status');
+    }
+
+    /**
+    * Generates the editing UI using the provided HTML structure and appends it to the container element.
+    */
+    createEditingUI() {
+        const editingTemplate = `
+            <form id="settings-form" class="options-form">
+                <div id="settings-fields">
+                    <!-- Settings fields will be dynamically populated here -->
+                </div>
+                <button type="button" id="save-settings-button" class="btn btn-primary">Save Settings</button>
+                <div id="settings-status" class="status-message mt-2"></div>
+            </form>
+        `;
+        this.containerElement.innerHTML = editingTemplate;
+    }
+
+    /**
+    * Sets up event listeners for various UI elements to handle user interactions.
+    */
+    initializeEventListeners() {
+        if (!this.isValidPage() || this.mode !== 'editing') return;
+
+        if (this.saveButton) {
+            this.saveButton.addEventListener('click', () => this.saveSettings());
+        }
+    }
+
+    /**
+    * Generates the settings fields from their definitions and current values.
+    */
+    loadFields() {
+        if (!this.isValidPage() || this.mode !== 'editing' || !this.settingsForm) return;
+
+        this.settingsForm.innerHTML = '';
+
+        Object.values(this.getDefaultSettings())
+        .sort((a, b) => a.position - b.position)
+        .forEach(definition => this.addField(definition));
+    }
+
+    /**
+    * Adds a setting field to the settings form
+    * @param {Object} definition - The setting definition
+    */
+    addField(definition) {
+        const value = this.getSetting(definition.id);
+
+        const formGroup = document.createElement('div');
+        formGroup.className = 'form-group';
+
+        let input;
+
+        if (definition.type === 'select') {
+            input = document.createElement('select');
+            input.className = 'form-select';
+            definition.options.forEach(option => {
+                input.appendChild(new Option(option.label, option.value, false, option.value === value));
+            });
+        } else if (definition.type === 'checkbox') {
+            formGroup.classList.add('form-check');
+            input = document.createElement('input');
+            input.type = 'checkbox';
+            input.className = 'form-check-input';
+            input.checked = Boolean(value);
+        } else {
+            input = document.createElement('input');
+            input.type = definition.type;
+            input.className = 'form-control';
+            input.value = value;
+            if (definition.min !== undefined) input.min = definition.min;
+            if (definition.max !== undefined) input.max = definition.max;
+            if (definition.step !== undefined) input.step = definition.step;
+        }
+
+        input.id = `setting-${definition.id}`;
+        input.dataset.settingId = definition.id;
+
+        const label = document.createElement('label');
+        label.htmlFor = input.id;
+        label.className = definition.type === 'checkbox' ? 'form-check-label' : 'form-label';
+        label.textContent = definition.label;
+
+        if (definition.type === 'checkbox') {
+            formGroup.appendChild(input);
+            formGroup.appendChild(label);
+        } else {
+            formGroup.appendChild(label);
+            formGroup.appendChild(input);
+        }
+
+        if (definition.help) {
+            const help = document.createElement('div');
+            help.className = 'form-text';
+            help.textContent = definition.help;
+            formGroup.appendChild(help);
+        }
+
+        this.settingsForm.appendChild(formGroup);
+    }
+
+    /**
+    * Save the settings edited in the settings form
+    */
+    saveSettings() {
+        if (!this.settingsForm) return;
+
+        this.saveButton.disabled = true;
+
+        const definitions = this.getDefaultSettings();
+
+        this.settingsForm.querySelectorAll('[data-setting-id]').forEach(input => {
+            const definition = definitions[input.dataset.settingId];
+
+            if (definition.type === 'checkbox') {
+                this.settings[definition.id] = input.checked;
+            } else if (definition.type === 'number') {
+                const number = parseFloat(input.value);
+                this.settings[definition.id] = isNaN(number) ? definition.value : this.clampNumber(number, definition);
+            } else {
+                this.settings[definition.id] = input.value;
+            }
+        });
+
+        this.saveSettingsToStorage();
+    }
+
+    /**
+    * Clamp a number setting to the bounds of its definition
+    * @param {number} number - The value typed by the user
+    * @param {Object} definition - The setting definition, with optional min and max
+    * @returns {number} The value, within the bounds
+    */
+    clampNumber(number, definition) {
+        if (typeof definition.min === 'number') {
+            number = Math.max(number, definition.min);
+        }
+        if (typeof definition.max === 'number') {
+            number = Math.min(number, definition.max);
+        }
+        return number;
+    }
+
+    /**
+    * Saves the current settings to Chrome's sync storage and dispatches a
+    * settingsSaved or settingsSavingError event.
+    *
+    * @param {Function} successCallback - Function to be called if the save is
+    * successful
+    */
+    saveSettingsToStorage(successCallback = null) {
+        chrome.storage.sync.set(this.settings, () => {
+            let evt;
+
+            if (chrome.runtime.lastError) {
+                console.error('Error saving settings:', chrome.runtime.lastError);
+                evt = new CustomEvent('settingsSavingError', { detail: { error: chrome.runtime.lastError.message } });
+            } else {
+                console.log('Settings saved');
+                evt = new CustomEvent('settingsSaved');
+                if (successCallback) {
+                    successCallback();
+                }
+            }
+
+            document.dispatchEvent(evt);
+            if (this.saveButton) {
+                this.saveButton.disabled = false;
+            }
+        });
+    }
+}
@@ -0,0 +1,384 @@
+/**
+* Manages the per-site behavior rules of the Chrome extension.
+* This class handles various operations related to site rules, including:
+* - Loading the rules from storage and matching them against a hostname
+* - Editing all the rules from the options page
+* - Editing the rule of the current site from the popup
+*
+* Rules are stored by domain under the siteRules key of chrome.storage.sync.
+* A rule for "example.com" also applies to its subdomains, the most specific
+* rule winning. Each rule sets the run mode on the site (never run, manual
+* only, auto-fill on focus) and can override the use of stored completions
+* and the default profile, card and model.
+*/
+class SiteRulesManager {
+    constructor() {
+        this.containerElement = null;
+        this.mode = null;
+
+        // DOM element references
+        this.rulesList = null;
+        this.addRuleButton = null;
+        this.saveButton = null;
+        this.rulesStatus = null;
+
+        // Rules by domain, and the site edited from the popup
+        this.rules = {};
+        this.site = null;
+
+        // Names of the profiles, cards and models the rules can select
+        this.choices = { profile: [], card: [], model: [] };
+    }
+
+    /**
+    * Initializes the SiteRulesManager by loading the rules from storage and,
+    * on the options page or the popup, generating their UI.
+    *
+    * @param {string} [containerElement="#site-rules-manager-container"] - The
+    * selector for the container element
+    * @param {string} [mode='editing'] - The mode of operation ('editing' for
+    * all the rules, 'selection' for the rule of a single site)
+    * @param {string} [site] - The hostname of the site edited in 'selection' mode
+    * @returns {Promise<void>}
+    */
+    async init(containerElement = "#site-rules-manager-container", mode = 'editing', site = null) {
+        const { siteRules = {} } = await chrome.storage.sync.get('siteRules');
+        this.rules = siteRules;
+
+        this.mode = mode;
+
+        if (!this.isValidPage()) {
+            console.log('Site rules manager initialized in no-UI mode');
+            return;
+        }
+
+        this.containerElement = document.querySelector(containerElement);
+
+        if (!this.containerElement) {
+            console.log('Site rules manager container element not found');
+            return;
+        }
+
+        const { profiles = [], cards = [], models = [] } = await chrome.storage.sync.get(['profiles', 'cards', 'models']);
+        this.choices = {
+            profile: profiles.map(profile => profile.name),
+            card: cards.map(card => card.name),
+            model: models.map(model => model.label || model.name)
+        };
+
+        this.site = site ? SiteRulesManager.normalizeSite(site) : null;
+
+        this.initializeDOMReferences();
+        this.initializeEventListeners();
+        this.loadFields();
+    }
+
+    /**
+    * Checks if the current page is the options page or the popup page.
+    * @returns {boolean} True if the current page is the options page or the popup page, false otherwise.
+    */
+    isValidPage() {
+        return location.pathname.includes('options.html') || location.pathname.includes('popup.html');
+    }
+
+    /**
+    * Get the rule applied to sites without a rule
+    * @returns {Object} The default rule: mode, useStoredCompletion, profile, card and model
+    */
+    getDefaultRule() {
+        return { mode: 'default', useStoredCompletion: null, profile: null, card: null, model: null };
+    }
+
+    /**
+    * Normalizes a domain typed by the user or a hostname: lowercased, without
+    * protocol, path, port and leading "www.".
+    * @param {string} site - The domain, hostname or URL.
+    * @returns {string} The normalized domain.
+    */
+    static normalizeSite(site) {
+        return String(site || '')
+        .trim()
+        .toLowerCase()
+        .replace(/^[a-z][a-z\d+.-]*:\/\//, '')
+        .replace(/[/?#:].*$/, '')
+        .replace(/^www\./, '');
+    }
+
+    /**
+    * Get the rule applying to a hostname: the rule of its most specific
+    * domain, merged with the default rule.
+    * @param {string} hostname - The hostname of the site.
+    * @returns {Object} The rule, with the matched domain as site (null if none).
+    */
+    getRule(hostname) {
+        const site = SiteRulesManager.normalizeSite(hostname);
+
+        const domain = Object.keys(this.rules)
+        .filter(domain => site === domain || site.endsWith(`.${domain}`))
+        .sort((a, b) => b.length - a.length)[0];
+
+        return { ...this.getDefaultRule(), ...(domain ? this.rules[domain] : {}), site: domain || null };
+    }
+
+    /**
+    * Checks whether a rule only holds default values.
+    * @param {Object} rule - The rule to check.
+    * @returns {boolean} True if the rule changes nothing.
+    */
+    isDefaultRule(rule) {
+        return Object.entries(this.getDefaultRule()).every(([key, value]) => rule[key] === value);
+    }
+
+    /**
+    * Initializes DOM element references, generating the UI in the container
+    * element.
+    */
+    initializeDOMReferences() {
+        if (this.containerElement) {
+            if (this.mode === 'editing') {
+                this.createEditingUI();
+            } else if (this.mode === 'selection') {
+                this.createSelectionUI();
+            }
+        }
+
+        this.rulesList = this.containerElement.querySelector('#site-rules-list');
+        this.addRuleButton = this.containerElement.querySelector('#add-site-rule-button');
+        this.saveButton = this.containerElement.querySelector('#save-site-rules-button');
+        this.rulesStatus = this.containerElement.querySelector('#site-rules-status');
+    }
+
+    /**
+    * Generates the editing UI using the provided HTML structure and appends it to the container element.
+    */
+    createEditingUI() {
+        const editingTemplate = `
+            <form id="site-rules-form" class="options-form">
+                <p class="form-text">Rules apply to the domain and its subdomains, the most specific rule winning.</p>
+                <div id="site-rules-list">
+                    <!-- Site rules will be dynamically populated here -->
+                </div>
+                <div id="add-site-rule-button" class="form-group">
+                    <span class="add-field-label">
+                        <i class="bi bi-plus-circle text-success add-field hide showOnHover"></i>
+                        Add site rule
+                    </span>
+                </div>
+                <button type="button" id="save-site-rules-button" class="btn btn-primary">Save Rules</button>
+                <div id="site-rules-status" class="status-message mt-2"></div>
+            </form>
+        `;
+        this.containerElement.innerHTML = editingTemplate;
+    }
+
+    /**
+    * Generates the selection UI using the provided HTML structure and appends it to the container element.
+    */
+    createSelectionUI() {
+        const selectionTemplate = `
+            <div class="small text-muted mb-1">Rule for <strong class="site-rule-name"></strong></div>
+            <div id="site-rules-list"></div>
+        `;
+        this.containerElement.innerHTML = selectionTemplate;
+        this.containerElement.querySelector('.site-rule-name').textContent = this.site || 'this page';
+    }
+
+    /**
+    * Sets up event listeners for various UI elements to handle user interactions.
+    */
+    initializeEventListeners() {
+        if (!this.isValidPage()) return;
+
+        if (this.mode === 'editing') {
+            this.addRuleButton.addEventListener('click', () => this.addRule());
+            this.saveButton.addEventListener('click', () => this.saveRules());
+            this.rulesList.addEventListener('click', (event) => {
+                const deleteButton = event.target.closest('.delete-site-rule');
+                if (deleteButton) {
+                    deleteButton.closest('.site-rule').remove();
+                }
+            });
+        } else if (this.mode === 'selection') {
+            // The rule of the current site is saved as soon as it changes
+            this.rulesList.addEventListener('change', () => this.saveSiteRule());
+        }
+    }
+
+    /**
+    * Generates the rule fields: all the rules in 'editing' mode, the rule of
+    * the current site in 'selection' mode.
+    */
+    loadFields() {
+        if (!this.isValidPage() || !this.rulesList) return;
+
+        this.rulesList.innerHTML = '';
+
+        if (this.mode === 'editing') {
+            Object.keys(this.rules)
+            .sort()
+            .forEach(site => this.addRule(site, this.rules[site]));
+        } else if (this.site) {
+            this.rulesList.appendChild(this.createRuleFields(this.rules[this.site] || this.getDefaultRule()));
+        } else {
+            // Pages without a hostname (e.g. the new tab page) have no rule
+            this.containerElement.classList.add('d-none');
+        }
+    }
+
+    /**
+    * Adds a rule row to the rules list of the editing UI
+    * @param {string} [site=''] - The domain of the rule
+    * @param {Object} [rule] - The rule, defaults to the default rule
+    */
+    addRule(site = '', rule = this.getDefaultRule()) {
+        const row = document.createElement('div');
+        row.className = 'site-rule form-group d-flex align-items-start gap-2';
+
+        const siteInput = document.createElement('input');
+        siteInput.type = 'text';
+        siteInput.className = 'form-control site-rule-site';
+        siteInput.placeholder = 'example.com';
+        siteInput.value = site;
+
+        const deleteButton = document.createElement('i');
+        deleteButton.className = 'bi bi-x-circle text-danger delete-site-rule mt-2';
+        deleteButton.title = 'Delete rule';
+
+        row.append(siteInput, this.createRuleFields(rule), deleteButton);
+        this.rulesList.appendChild(row);
+    }
+
+    /**
+    * Creates the selects editing a rule
+    * @param {Object} rule - The rule to edit
+    * @returns {HTMLElement} The element holding the selects
+    */
+    createRuleFields(rule) {
+        const fields = document.createElement('div');
+        fields.className = 'site-rule-fields d-flex flex-wrap gap-1 flex-grow-1';
+
+        const createSelect = (key, options, selected) => {
+            const select = document.createElement('select');
+            select.className = `form-select ${this.mode === 'selection' ? 'form-select-sm' : ''}`;
+            select.dataset.ruleKey = key;
+            options.forEach(option => {
+                select.appendChild(new Option(option.label, option.value, false, option.value === selected));
+            });
+            return select;
+        };
+
+        const toOptions = (names, defaultLabel) => [
+            { value: '', label: defaultLabel },
+            ...names.map(name => ({ value: name, label: name }))
+        ];
+
+        fields.append(
+            createSelect('mode', [
+                { value: 'default', label: 'Follow global settings' },
+                { value: 'auto', label: 'Auto-fill on focus' },
+                { value: 'manual', label: 'Manual fill only' },
+                { value: 'disabled', label: 'Never run' }
+            ], rule.mode),
+            createSelect('useStoredCompletion', [
+                { value: '', label: 'Stored completions: global setting' },
+                { value: 'true', label: 'Use stored completions' },
+                { value: 'false', label: 'Always ask the LLM' }
+            ], rule.useStoredCompletion === null ? '' : String(rule.useStoredCompletion)),
+            createSelect('profile', toOptions(this.choices.profile, 'Current profile'), rule.profile || ''),
+            createSelect('card', toOptions(this.choices.card, 'Current card'), rule.card || ''),
+            createSelect('model', toOptions(this.choices.model, 'Current model'), rule.model || '')
+        );
+
+        return fields;
+    }
+
+    /**
+    * Reads a rule from its selects
+    * @param {HTMLElement} fields - The element holding the selects
+    * @returns {Object} The rule
+    */
+    readRuleFields(fields) {
+        const values = Object.fromEntries(
+            [...fields.querySelectorAll('[data-rule-key]')].map(select => [select.dataset.ruleKey, select.value])
+        );
+
+        return {
+            mode: values.mode,
+            useStoredCompletion: values.useStoredCompletion === '' ? null : values.useStoredCompletion === 'true',
+            profile: values.profile || null,
+            card: values.card || null,
+            model: values.model || null
+        };
+    }
+
+    /**
+    * Save the rules edited in the editing UI. Rows without a domain or only
+    * holding default values are dropped.
+    */
+    saveRules() {
+        if (!this.rulesList) return;
+
+        this.saveButton.disabled = true;
+
+        const rules = {};
+
+        this.rulesList.querySelectorAll('.site-rule').forEach(row => {
+            const site = SiteRulesManager.normalizeSite(row.querySelector('.site-rule-site').value);
+            const rule = this.readRuleFields(row.querySelector('.site-rule-fields'));
+
+            if (site && !this.isDefaultRule(rule)) {
+                rules[site] = rule;
+            }
+        });
+
+        this.rules = rules;
+
+        this.saveRulesToStorage(() => this.loadFields());
+    }
+
+    /**
+    * Save the rule of the current site edited in the selection UI
+    */
+    saveSiteRule() {
+        if (!this.site) return;
+
+        const rule = this.readRuleFields(this.rulesList);
+
+        if (this.isDefaultRule(rule)) {
+            delete this.rules[this.site];
+        } else {
+            this.rules[this.site] = rule;
+        }
+
+        this.saveRulesToStorage();
+    }
+
+    /**
+    * Saves the rules to Chrome's sync storage and dispatches a siteRulesSaved
+    * or siteRulesSavingError event.
+    *
+    * @param {Function} successCallback - Function to be called if the save is
+    * successful
+    */
+    saveRulesToStorage(successCallback = null) {
+        chrome.storage.sync.set({ siteRules: this.rules }, () => {
+            let evt;
+
+            if (chrome.runtime.lastError) {
+                console.error('Error saving site rules:', chrome.runtime.lastError);
+                evt = new CustomEvent('siteRulesSavingError', { detail: { error: chrome.runtime.lastError.message } });
+            } else {
+                console.log('Site rules saved');
+                evt = new CustomEvent('siteRulesSaved');
+                if (successCallback) {
+                    successCallback();
+                }
+            }
+
+            document.dispatchEvent(evt);
+            if (this.saveButton) {
+                this.saveButton.disabled = false;
+            }
+        });
+    }
+}
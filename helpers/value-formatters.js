@@ -0,0 +1,480 @@
+/* value-formatters.js */
+
+/**
+* Deterministic formatting of the values returned by the LLM, according to the
+* field they are written into: input type, pattern, maxlength, inputmode,
+* autocomplete hint, placeholder and page locale.
+*
+* The formatters are pure functions of a value and a field description, so
+* they can be used (and tested) without a page. A field description is a plain
+* object with the following properties, all optional:
+* - tag: The lowercase tag name ('input', 'textarea'...).
+* - type: The input type.
+* - pattern: The pattern attribute.
+* - maxLength: The maximum length (0 or less for none).
+* - inputMode: The inputmode attribute.
+* - autocomplete: The autocomplete attribute.
+* - placeholder: The placeholder attribute.
+*
+* This file is loaded as a content script before content.js.
+*/
+
+// Regions writing dates month first (e.g. en-US)
+const MONTH_FIRST_REGIONS = ['US', 'PH', 'FM', 'MH', 'PW'];
+
+// Placeholders describing a date format, e.g. "dd/mm/yyyy" or "MM-YY"
+const DATE_PLACEHOLDER_REGEX = /^\s*(dd|mm|yy|yyyy|jj|aaaa|tt|jjjj)(\s*[./-]\s*|\s+)(dd|mm|yy|yyyy|jj|aaaa|tt|jjjj)(?:\2(dd|mm|yy|yyyy|jj|aaaa|tt|jjjj))?\s*$/i;
+
+// Localized date format letters, mapped to the english ones
+const DATE_TOKEN_ALIASES = { jj: 'dd', tt: 'dd', aaaa: 'yyyy', jjjj: 'yyyy' };
+
+/**
+* Pads a number with leading zeros.
+* @param {number} number - The number to pad.
+* @param {number} [length=2] - The minimum number of digits.
+* @returns {string} The padded number.
+*/
+function padNumber(number, length = 2) {
+    return String(number).padStart(length, '0');
+}
+
+/**
+* Checks whether a locale writes dates month first.
+* @param {string} locale - The BCP 47 locale (e.g. 'en-US').
+* @returns {boolean} True for month-first locales.
+*/
+function isMonthFirstLocale(locale) {
+    const region = String(locale || '').split(/[-_]/)[1];
+    return region ? MONTH_FIRST_REGIONS.includes(region.toUpperCase()) : false;
+}
+
+/**
+* Expands a two-digit year, assuming it is at most ten years in the future.
+* @param {number} year - The year.
+* @returns {number} The four-digit year.
+*/
+function expandYear(year) {
+    if (year >= 100) return year;
+
+    const currentYear = new Date().getFullYear();
+    const century = Math.floor(currentYear / 100) * 100;
+    return century + year > currentYear + 10 ? century - 100 + year : century + year;
+}
+
+/**
+* Checks that date parts describe an existing day.
+* @param {number} year - The year.
+* @param {number} month - The month (1 to 12).
+* @param {number} day - The day of the month.
+* @returns {boolean} True if the date exists.
+*/
+function isValidDate(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+* Parses a date written in any common numeric or textual format. Ambiguous
+* numeric dates (e.g. 05/06/1990) are read according to the locale.
+* @param {*} value - The date to parse.
+* @param {string} [locale] - The locale of the value.
+* @returns {{year: number, month: number, day: number}|null} The date parts,
+* or null if the value is not a date.
+*/
+function parseDateValue(value, locale) {
+    const text = String(value ?? '').trim();
+    let match;
+
+    // Year first: 1990-05-15, 1990/5/15, 1990-05-15T10:00
+    if ((match = text.match(/^(\d{4})[./-](\d{1,2})[./-](\d{1,2})(?:[T\s].*)?$/))) {
+        const [year, month, day] = match.slice(1).map(Number);
+        return isValidDate(year, month, day) ? { year, month, day } : null;
+    }
+
+    // Day or month first: 15-05-1990, 05/15/90, 15.05.1990
+    if ((match = text.match(/^(\d{1,2})[./-](\d{1,2})[./-](\d{2}|\d{4})$/))) {
+        const [first, second] = [Number(match[1]), Number(match[2])];
+        const year = expandYear(Number(match[3]));
+        const monthFirst = first <= 12 && (second > 12 || isMonthFirstLocale(locale));
+        const [month, day] = monthFirst ? [first, second] : [second, first];
+        return isValidDate(year, month, day) ? { year, month, day } : null;
+    }
+
+    // Textual dates: "15 May 1990", "May 15, 1990"
+    if (/[a-z]/i.test(text) && /\d{4}/.test(text)) {
+        const date = new Date(`${text} UTC`);
+        if (!isNaN(date)) {
+            return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+        }
+    }
+
+    return null;
+}
+
+/**
+* Writes date parts following a format made of dd, mm, yy and yyyy tokens.
+* @param {{year: number, month: number, day: number}} date - The date parts.
+* @param {string} format - The format (e.g. 'dd/mm/yyyy').
+* @returns {string} The formatted date.
+*/
+function formatDateParts(date, format) {
+    return format.replace(/yyyy|yy|mm|dd/gi, token => {
+        switch (token.toLowerCase()) {
+            case 'yyyy': return padNumber(date.year, 4);
+            case 'yy': return padNumber(date.year % 100);
+            case 'mm': return padNumber(date.month);
+            default: return padNumber(date.day);
+        }
+    });
+}
+
+/**
+* Reads the date format described by a placeholder, e.g. "JJ/MM/AAAA".
+* @param {string} placeholder - The placeholder.
+* @returns {string|null} The format with english tokens, or null.
+*/
+function getPlaceholderDateFormat(placeholder) {
+    const match = String(placeholder || '').match(DATE_PLACEHOLDER_REGEX);
+    if (!match) return null;
+
+    const separator = match[2];
+    return [match[1], match[3], match[4]]
+    .filter(Boolean)
+    .map(token => DATE_TOKEN_ALIASES[token.toLowerCase()] || token.toLowerCase())
+    .join(separator);
+}
+
+/**
+* Parses a time such as "3:30 pm", "15h30" or "15:30:00".
+* @param {*} value - The time to parse.
+* @returns {{hours: number, minutes: number}|null} The time parts, or null.
+*/
+function parseTimeValue(value) {
+    const match = String(value ?? '').trim().match(/^(\d{1,2})(?:[:h.](\d{2}))?(?::\d{2})?\s*([ap]\.?m\.?)?$/i);
+    if (!match) return null;
+
+    let hours = Number(match[1]);
+    const minutes = Number(match[2] || 0);
+    const meridiem = (match[3] || '').replace(/\./g, '').toLowerCase();
+
+    if (meridiem === 'pm' && hours < 12) hours += 12;
+    if (meridiem === 'am' && hours === 12) hours = 0;
+
+    return hours < 24 && minutes < 60 ? { hours, minutes } : null;
+}
+
+/**
+* Formats a value for date and time inputs, which only accept ISO formats.
+* @param {*} value - The value to format.
+* @param {string} type - The input type ('date', 'month', 'time' or 'datetime-local').
+* @param {string} [locale] - The locale of the value.
+* @returns {string|null} The formatted value, or null if it cannot be parsed.
+*/
+function formatDateInputValue(value, type, locale) {
+    if (type === 'time') {
+        const time = parseTimeValue(value);
+        return time ? `${padNumber(time.hours)}:${padNumber(time.minutes)}` : null;
+    }
+
+    const date = parseDateValue(value, locale);
+    if (!date) return null;
+
+    if (type === 'month') return formatDateParts(date, 'yyyy-mm');
+
+    if (type === 'datetime-local') {
+        const time = parseTimeValue(String(value).split(/[T\s]/)[1]) || { hours: 0, minutes: 0 };
+        return `${formatDateParts(date, 'yyyy-mm-dd')}T${padNumber(time.hours)}:${padNumber(time.minutes)}`;
+    }
+
+    return formatDateParts(date, 'yyyy-mm-dd');
+}
+
+/**
+* Formats a date for a text field, following the format given by its
+* placeholder, or the locale format for birth dates.
+* @param {*} value - The value to format.
+* @param {Object} field - The field description.
+* @param {string} [locale] - The page locale.
+* @returns {string|null} The formatted date, or null if the field does not
+* expect a date or the value is not one.
+*/
+function formatTextDate(value, field, locale) {
+    const placeholderFormat = getPlaceholderDateFormat(field.placeholder);
+    const isBirthDate = String(field.autocomplete || '').toLowerCase() === 'bday';
+
+    if (!placeholderFormat && !isBirthDate) return null;
+
+    const date = parseDateValue(value, locale);
+    if (!date) return null;
+
+    const format = placeholderFormat || (isMonthFirstLocale(locale) ? 'mm/dd/yyyy' : 'dd/mm/yyyy');
+    return formatDateParts(date, format);
+}
+
+/**
+* Formats a card expiry date or its parts (autocomplete cc-exp, cc-exp-month
+* and cc-exp-year).
+* @param {*} value - The value to format.
+* @param {Object} field - The field description.
+* @returns {string|null} The formatted value, or null if the field is not an
+* expiry field.
+*/
+function formatCardExpiry(value, field) {
+    const autocomplete = String(field.autocomplete || '').toLowerCase();
+    const text = String(value ?? '').trim();
+
+    if (autocomplete === 'cc-exp-month') {
+        return /^\d{1,2}$/.test(text) ? padNumber(Number(text)) : null;
+    }
+
+    if (autocomplete === 'cc-exp-year') {
+        if (!/^\d{2}(\d{2})?$/.test(text)) return null;
+
+        const placeholder = String(field.placeholder || '').trim().toLowerCase();
+        const wantsShortYear = field.maxLength === 2 || placeholder === 'yy' || placeholder === 'aa';
+        return wantsShortYear ? text.slice(-2) : String(expandYear(Number(text)));
+    }
+
+    if (autocomplete === 'cc-exp') {
+        const match = text.match(/^(\d{1,2})\s*[/-]\s*(\d{2}|\d{4})$/);
+        if (!match) return null;
+
+        const format = getPlaceholderDateFormat(field.placeholder) || 'mm/yy';
+        return formatDateParts({ year: expandYear(Number(match[2])), month: Number(match[1]), day: 1 }, format);
+    }
+
+    return null;
+}
+
+/**
+* Formats a phone number. Numbers with a country code (leading + or 00) are
+* written in E.164 format (+33612345678), or as the national number in digits
+* if the field does not fit E.164; numbers without a country code are kept as
+* typed. Country code, national and local fields get the matching part.
+* @param {*} value - The phone number.
+* @param {Object} field - The field description.
+* @returns {string} The formatted phone number.
+*/
+function formatPhoneNumber(value, field) {
+    const text = String(value ?? '').trim();
+    const autocomplete = String(field.autocomplete || '').toLowerCase().split(/\s+/).pop();
+    const hasCountryCode = /^(\+|00)/.test(text);
+    const digits = text.replace(/^00/, '').replace(/\D/g, '');
+    // Without the country code, the national number is kept as typed, in digits
+    const national = (hasCountryCode ? text.replace(/^(\+|00)\d{1,3}[\s.-]*/, '') : text).replace(/\D/g, '');
+
+    if (autocomplete === 'tel-country-code') {
+        return `+${digits}`;
+    }
+
+    if (autocomplete === 'tel-national' || autocomplete === 'tel-local') {
+        return national;
+    }
+
+    if (!hasCountryCode) {
+        return text;
+    }
+
+    const e164 = `+${digits}`;
+    return fitsFieldConstraints(e164, field) || !fitsFieldConstraints(national, field) ? e164 : national;
+}
+
+/**
+* Formats a postal code: uppercase, with single spaces, without spaces or
+* dashes if the field is too short for them.
+* @param {*} value - The postal code.
+* @param {Object} field - The field description.
+* @returns {string} The formatted postal code.
+*/
+function formatPostalCode(value, field) {
+    const text = String(value ?? '').trim().toUpperCase().replace(/\s+/g, ' ');
+
+    if (field.maxLength > 0 && text.length > field.maxLength) {
+        return text.replace(/[\s-]/g, '');
+    }
+
+    return text;
+}
+
+/**
+* Retrieves the decimal separator of a locale.
+* @param {string} [locale] - The locale.
+* @returns {string} The decimal separator ('.' or ',').
+*/
+function getDecimalSeparator(locale) {
+    try {
+        const part = new Intl.NumberFormat(locale || undefined).formatToParts(1.5).find(item => item.type === 'decimal');
+        return part ? part.value : '.';
+    } catch (error) {
+        return '.';
+    }
+}
+
+/**
+* Parses a number written with any grouping and decimal separators
+* (1,234.5, 1.234,5, 1 234,5).
+* @param {*} value - The number to parse.
+* @param {string} [locale] - The locale of the value, for ambiguous separators.
+* @returns {number|null} The number, or null if the value is not a number.
+*/
+function parseDecimalValue(value, locale) {
+    if (typeof value === 'number') return value;
+
+    let text = String(value ?? '').trim().replace(/[\s\u00a0\u202f']/g, '');
+    if (!/^[+-]?[\d.,]+$/.test(text) || !/\d/.test(text)) return null;
+
+    const lastComma = text.lastIndexOf(',');
+    const lastDot = text.lastIndexOf('.');
+    let decimalSeparator = null;
+
+    if (lastComma >= 0 && lastDot >= 0) {
+        // With both separators, the last one is the decimal separator
+        decimalSeparator = lastComma > lastDot ? ',' : '.';
+    } else if (lastComma >= 0 || lastDot >= 0) {
+        const separator = lastComma >= 0 ? ',' : '.';
+        const occurrences = text.split(separator).length - 1;
+        const decimals = text.length - text.lastIndexOf(separator) - 1;
+
+        // A single separator followed by three digits is ambiguous (1,234)
+        if (occurrences === 1 && (decimals !== 3 || getDecimalSeparator(locale) === separator)) {
+            decimalSeparator = separator;
+        }
+    }
+
+    const groupSeparator = decimalSeparator === ',' ? '.' : ',';
+    text = text.split(groupSeparator).join('');
+    if (decimalSeparator) {
+        text = decimalSeparator === ',' ? text.replace(',', '.') : text;
+    } else {
+        text = text.replace(/[.,]/g, '');
+    }
+
+    const number = Number(text);
+    return isNaN(number) ? null : number;
+}
+
+/**
+* Formats a number, with a dot as decimal separator for number inputs, and
+* with the locale separator for text fields expecting decimals.
+* @param {*} value - The number.
+* @param {Object} field - The field description.
+* @param {string} [locale] - The page locale.
+* @returns {string|null} The formatted number, or null if the value is not a number.
+*/
+function formatDecimal(value, field, locale) {
+    // Numbers already valid for number inputs keep their leading zeros (00123)
+    const text = String(value).trim();
+    if (field.type === 'number' && /^[+-]?\d+(\.\d+)?$/.test(text)) return text;
+
+    const number = parseDecimalValue(value, locale);
+    if (number === null) return null;
+
+    const formatted = String(number);
+    return field.type === 'number' ? formatted : formatted.replace('.', getDecimalSeparator(locale));
+}
+
+/**
+* Checks whether a value satisfies the pattern attribute of a field.
+* @param {string} value - The value.
+* @param {string} [pattern] - The pattern attribute.
+* @returns {boolean} True if there is no (valid) pattern or the value matches it.
+*/
+function matchesFieldPattern(value, pattern) {
+    if (!pattern) return true;
+
+    try {
+        return new RegExp(`^(?:${pattern})$`, 'v').test(value);
+    } catch (error) {
+        try {
+            return new RegExp(`^(?:${pattern})$`, 'u').test(value);
+        } catch (innerError) {
+            return true;
+        }
+    }
+}
+
+/**
+* Checks whether a value satisfies the pattern and maxlength of a field.
+* @param {string} value - The value.
+* @param {Object} field - The field description.
+* @returns {boolean} True if the value fits the field.
+*/
+function fitsFieldConstraints(value, field) {
+    return matchesFieldPattern(value, field.pattern) && !(field.maxLength > 0 && value.length > field.maxLength);
+}
+
+/**
+* Adjusts a value to the pattern and maxlength of a field, trying simpler
+* variants of it (without separators, digits only) when it does not fit.
+* @param {string} value - The value.
+* @param {Object} field - The field description.
+* @returns {string} The first variant fitting the field, or the value itself.
+*/
+function fitFieldConstraints(value, field) {
+    const fits = candidate => fitsFieldConstraints(candidate, field);
+
+    if (fits(value)) return value;
+
+    const variants = [
+        value.replace(/\s+/g, ''),
+        value.replace(/[\s./-]/g, ''),
+        // Letters are never dropped
+        /[a-z]/i.test(value) ? '' : value.replace(/\D/g, '')
+    ];
+
+    return variants.find(variant => variant && fits(variant)) || value;
+}
+
+/**
+* Formats a value returned by the LLM for the field it is written into.
+* Values which are not strings or numbers (arrays, booleans), values for
+* choice fields and values already fitting the pattern or maxlength of the
+* field are returned unchanged.
+* @param {*} value - The value to format.
+* @param {Object} field - The field description.
+* @param {string} [locale] - The page locale (e.g. 'fr-FR').
+* @returns {*} The formatted value.
+*/
+function formatFieldValue(value, field, locale) {
+    if (!['string', 'number'].includes(typeof value) || String(value).trim() === '') {
+        return value;
+    }
+
+    const tag = field.tag || 'input';
+    const type = (field.type || 'text').toLowerCase();
+
+    if (tag === 'select' || ['checkbox', 'radio', 'file'].includes(type)) {
+        return value;
+    }
+
+    if (['date', 'month', 'time', 'datetime-local'].includes(type)) {
+        return formatDateInputValue(value, type, locale) ?? value;
+    }
+
+    if (tag === 'textarea' || (tag !== 'input' && !field.type)) {
+        return value;
+    }
+
+    // A value the constraints of the field already accept is not rewritten
+    if ((field.pattern || field.maxLength > 0) && fitsFieldConstraints(String(value).trim(), field)) {
+        return value;
+    }
+
+    const autocomplete = String(field.autocomplete || '').toLowerCase().split(/\s+/).pop();
+    const inputMode = String(field.inputMode || '').toLowerCase();
+    let formatted = null;
+
+    if (autocomplete.startsWith('cc-exp')) {
+        formatted = formatCardExpiry(value, { ...field, autocomplete });
+    } else if (type === 'tel' || autocomplete.startsWith('tel') || inputMode === 'tel') {
+        formatted = formatPhoneNumber(value, { ...field, autocomplete });
+    } else if (autocomplete === 'postal-code') {
+        formatted = formatPostalCode(value, field);
+    } else if (type === 'number' || inputMode === 'decimal') {
+        formatted = formatDecimal(value, field, locale);
+    } else {
+        formatted = formatTextDate(value, field, locale);
+    }
+
+    return fitFieldConstraints(String(formatted ?? value), field);
+}
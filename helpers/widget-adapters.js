@@ -0,0 +1,369 @@
+/* widget-adapters.js */
+
+/**
+* Adapters for custom dropdown widgets (ARIA comboboxes, select2, choices.js,
+* MUI selects, address autocompletes), which render their own listbox instead
+* of relying on a native <select>.
+*
+* Each adapter exposes:
+* - name: The widget name, shown to the LLM.
+* - noiseSelector: Elements rendered by the widget to strip from the form HTML.
+* - match(element): Returns the widget root element (the element to fill) or null.
+* - getOptions(root): Returns the known options, or null if they are only
+*   rendered when the widget is open.
+* - getValue(root): Returns the current value of the widget.
+* - fill(root, value): Selects the option best matching the value, like a user would.
+*
+* This file is loaded as a content script before content.js and uses its
+* filling helpers (simulateTyping, setSelectValue, waitForRender).
+*/
+
+// Elements which can be the root of a custom dropdown widget
+const WIDGET_ELEMENT_SELECTOR = '[role="combobox"], [aria-haspopup="listbox"]';
+
+// Largest gap between a widget and the popup listbox it opened, in pixels
+const LISTBOX_MAX_DISTANCE = 16;
+
+// Number of ancestors of a widget searched for the listbox it opened
+const LISTBOX_MAX_DEPTH = 3;
+
+/**
+* Normalizes a text for comparison: lowercase, no accents, collapsed spaces.
+* @param {*} text - The text to normalize.
+* @returns {string} The normalized text.
+*/
+function normalizeOptionText(text) {
+    return String(text ?? '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+* Finds the option best matching a value, comparing it with both the value
+* and the displayed text of each option.
+* @param {Array<{value: string, text: string}>} options - The options to search.
+* @param {*} value - The value to match.
+* @returns {Object|null} The best matching option, or null if none matches.
+*/
+function findBestOption(options, value) {
+    const target = normalizeOptionText(value);
+    if (!target) return null;
+
+    let bestOption = null;
+    let bestScore = 0;
+
+    options.forEach(option => {
+        const optionValue = normalizeOptionText(option.value);
+        const optionText = normalizeOptionText(option.text);
+        let score = 0;
+
+        if (optionValue === target || optionText === target) {
+            score = 4;
+        } else if (optionText.startsWith(target)) {
+            score = 3;
+        } else if (optionText.includes(target)) {
+            score = 2;
+        } else if (optionText.length > 1 && target.includes(optionText)) {
+            score = 1;
+        }
+
+        if (score > bestScore) {
+            bestScore = score;
+            bestOption = option;
+        }
+    });
+
+    return bestOption;
+}
+
+/**
+* Checks whether an element is rendered on the page.
+* @param {HTMLElement} element - The element to check.
+* @returns {boolean} True if the element is visible.
+*/
+function isElementVisible(element) {
+    return element.getClientRects().length > 0;
+}
+
+/**
+* Simulates the pointer events of a user click, which widgets often listen to
+* instead of (or before) the click event.
+* @param {HTMLElement} element - The element to click.
+*/
+function simulateClick(element) {
+    const eventOptions = { bubbles: true, cancelable: true, composed: true };
+    element.dispatchEvent(new PointerEvent('pointerdown', eventOptions));
+    element.dispatchEvent(new MouseEvent('mousedown', eventOptions));
+    element.dispatchEvent(new PointerEvent('pointerup', eventOptions));
+    element.dispatchEvent(new MouseEvent('mouseup', eventOptions));
+    element.dispatchEvent(new MouseEvent('click', eventOptions));
+}
+
+/**
+* Simulates a key press on an element.
+* @param {HTMLElement} element - The element receiving the key.
+* @param {string} key - The key name (e.g. 'ArrowDown', 'Escape').
+*/
+function simulateKey(element, key) {
+    const eventOptions = { key, bubbles: true, cancelable: true, composed: true };
+    element.dispatchEvent(new KeyboardEvent('keydown', eventOptions));
+    element.dispatchEvent(new KeyboardEvent('keyup', eventOptions));
+}
+
+/**
+* Polls a function until it returns a truthy value or the timeout expires.
+* @param {Function} getter - The function to poll.
+* @param {number} [timeout=1000] - The maximum wait in milliseconds.
+* @returns {Promise<*>} The first truthy value returned, or null on timeout.
+*/
+async function waitForValue(getter, timeout = 1000) {
+    const start = Date.now();
+
+    while (Date.now() - start < timeout) {
+        const value = getter();
+        if (value) return value;
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+
+    return null;
+}
+
+/**
+* Reads the options of an ARIA listbox.
+* @param {HTMLElement} listbox - The listbox element.
+* @returns {Array<Object>} The options, each with value, text and element.
+*/
+function readListboxOptions(listbox) {
+    return [...listbox.querySelectorAll('[role="option"]')]
+    .filter(option => option.getAttribute('aria-disabled') !== 'true')
+    .map(option => ({
+        value: option.dataset.value ?? option.getAttribute('value') ?? option.textContent.trim(),
+        text: option.textContent.trim(),
+        element: option
+    }));
+}
+
+/**
+* Retrieves the listbox controlled by an ARIA combobox, if it is rendered.
+* @param {HTMLElement} root - The combobox element.
+* @returns {HTMLElement|null} The listbox element, or null.
+*/
+function getControlledListbox(root) {
+    const ids = `${root.getAttribute('aria-controls') || ''} ${root.getAttribute('aria-owns') || ''}`
+    .split(/\s+/)
+    .filter(Boolean);
+
+    for (const id of ids) {
+        const element = getElementByIdDeep(id);
+        if (!element) continue;
+
+        const listbox = element.matches('[role="listbox"]') ? element : element.querySelector('[role="listbox"]');
+        if (listbox) return listbox;
+    }
+
+    return null;
+}
+
+/**
+* Retrieves the visible listbox opened by a widget that does not reference
+* it: a listbox rendered in the container of the widget, or a popup
+* positioned right below or above it, so that the options of an unrelated
+* widget are never picked.
+* @param {HTMLElement} root - The widget element.
+* @returns {HTMLElement|null} The listbox element, or null.
+*/
+function getOpenListbox(root) {
+    const rootRect = root.getBoundingClientRect();
+
+    const isInContainer = listbox => {
+        let container = root.parentElement;
+        for (let depth = 0; container && depth < LISTBOX_MAX_DEPTH; container = container.parentElement, depth++) {
+            if (container.contains(listbox)) return true;
+        }
+        return false;
+    };
+    const isNextToRoot = listbox => {
+        const rect = listbox.getBoundingClientRect();
+        const overlaps = rect.left < rootRect.right && rect.right > rootRect.left;
+
+        return overlaps && (
+            Math.abs(rect.top - rootRect.bottom) <= LISTBOX_MAX_DISTANCE ||
+            Math.abs(rect.bottom - rootRect.top) <= LISTBOX_MAX_DISTANCE
+        );
+    };
+
+    return deepQuerySelectorAll(document, '[role="listbox"]')
+    .filter(listbox => isElementVisible(listbox) && (isInContainer(listbox) || isNextToRoot(listbox)))
+    .pop() || null;
+}
+
+const WIDGET_ADAPTERS = [
+    {
+        // select2 keeps the original <select> in sync and listens to its change event
+        name: 'select2',
+        noiseSelector: '.select2-container',
+
+        match(element) {
+            if (element.matches('select.select2-hidden-accessible')) return element;
+
+            const container = element.closest('.select2-container');
+            const select = container && container.previousElementSibling;
+            return select && select.matches('select') ? select : null;
+        },
+
+        getOptions(root) {
+            return [...root.options].map(option => ({ value: option.value, text: option.text.trim() }));
+        },
+
+        getValue(root) {
+            return root.value;
+        },
+
+        async fill(root, value) {
+            const option = findBestOption(this.getOptions(root), value);
+            if (!option) return false;
+
+            return setSelectValue(root, option.value);
+        }
+    },
+    {
+        // choices.js renders every choice in a hidden dropdown list and keeps only
+        // the selected ones in the original <select>
+        name: 'choices',
+        noiseSelector: '.choices__list',
+
+        match(element) {
+            const wrapper = element.closest('.choices');
+            return wrapper ? wrapper.querySelector('select') : null;
+        },
+
+        getOptions(root) {
+            return [...root.closest('.choices').querySelectorAll('.choices__list--dropdown [data-choice]:not(.choices__placeholder)')]
+            .map(item => ({ value: item.dataset.value, text: item.textContent.trim(), element: item }));
+        },
+
+        getValue(root) {
+            return root.value;
+        },
+
+        async fill(root, value) {
+            const option = findBestOption(this.getOptions(root), value);
+            if (!option) return false;
+
+            simulateClick(root.closest('.choices').querySelector('.choices__inner') || root.closest('.choices'));
+            await waitForRender();
+            simulateClick(option.element);
+            await waitForRender();
+
+            return [...root.selectedOptions].some(selected => selected.value === option.value);
+        }
+    },
+    {
+        // Google Places address autocomplete, rendered in a .pac-container on the body
+        name: 'address-autocomplete',
+        noiseSelector: null,
+
+        match(element) {
+            return element.matches('input.pac-target-input') ? element : null;
+        },
+
+        getOptions() {
+            return null;
+        },
+
+        getValue(root) {
+            return root.value;
+        },
+
+        async fill(root, value) {
+            simulateTyping(root, String(value));
+
+            const suggestions = await waitForValue(() => {
+                const items = [...document.querySelectorAll('.pac-container .pac-item')].filter(isElementVisible);
+                return items.length > 0 ? items : null;
+            });
+
+            if (suggestions) {
+                const options = suggestions.map(item => ({ value: item.textContent.trim(), text: item.textContent.trim(), element: item }));
+                const option = findBestOption(options, value) || options[0];
+                simulateClick(option.element);
+                await waitForRender();
+            }
+
+            // The typed address is kept even if no suggestion is chosen
+            return root.value.trim() !== '';
+        }
+    },
+    {
+        // Generic ARIA comboboxes and listbox buttons (MUI, react-select, Headless UI...)
+        name: 'combobox',
+        noiseSelector: null,
+
+        match(element) {
+            const root = element.closest(WIDGET_ELEMENT_SELECTOR);
+            return root && root.tagName !== 'SELECT' ? root : null;
+        },
+
+        getOptions(root) {
+            const listbox = getControlledListbox(root);
+            return listbox ? readListboxOptions(listbox) : null;
+        },
+
+        getValue(root) {
+            // The displayed text of non-input widgets is often a placeholder
+            return root.tagName === 'INPUT' ? root.value : '';
+        },
+
+        async fill(root, value) {
+            const isTextInput = root.tagName === 'INPUT';
+
+            if (isTextInput) {
+                // Typing filters the options of autocomplete inputs
+                simulateTyping(root, String(value));
+            } else {
+                simulateClick(root);
+            }
+
+            let listbox = await waitForValue(() => getControlledListbox(root) || getOpenListbox(root), 500);
+            if (!listbox && !isTextInput) {
+                simulateKey(root, 'ArrowDown');
+                listbox = await waitForValue(() => getControlledListbox(root) || getOpenListbox(root), 500);
+            }
+
+            const option = listbox ? findBestOption(readListboxOptions(listbox), value) : null;
+
+            if (!option) {
+                console.log('No matching option in widget:', root.id, 'for value:', value);
+                simulateKey(root, 'Escape');
+                return isTextInput && root.value.trim() !== '';
+            }
+
+            simulateClick(option.element);
+            await waitForRender();
+
+            // Confirm the selection through the option state or the displayed value
+            const displayed = normalizeOptionText(isTextInput ? root.value : root.textContent);
+            return option.element.getAttribute('aria-selected') === 'true' ||
+            displayed.includes(normalizeOptionText(option.text));
+        }
+    }
+];
+
+/**
+* Finds the adapter handling the widget an element belongs to.
+* @param {HTMLElement} element - The element to check.
+* @returns {{adapter: Object, root: HTMLElement}|null} The adapter and the widget root, or null.
+*/
+function getWidgetAdapter(element) {
+    for (const adapter of WIDGET_ADAPTERS) {
+        const root = adapter.match(element);
+        if (root) {
+            return { adapter, root };
+        }
+    }
+
+    return null;
+}
@@ -4,6 +4,10 @@
 let modelManager;
 let profileManager;
 let cardManager; // Initialize CardManager
+let settingsManager;
+let formsDataManager;
+let siteRulesManager;
+let profileRulesManager;
 
 document.addEventListener('DOMContentLoaded', async function() {
     const saveLLMButton = document.getElementById('save-llm-button');
@@ -13,11 +17,19 @@ document.addEventListener('DOMContentLoaded', async function() {
     modelManager = new ModelManager();
     profileManager = new ProfileManager();
     cardManager = new CardManager(); // Initialize CardManager
+    settingsManager = new SettingsManager();
+    formsDataManager = new FormsDataManager();
+    siteRulesManager = new SiteRulesManager();
+    profileRulesManager = new ProfileRulesManager();
 
     // Load fields
     await modelManager.init('#model-manager-container', 'editing');
     await profileManager.init('#profile-manager-container', 'editing');
     await cardManager.init('#card-manager-container', 'editing');
+    await settingsManager.init('#settings-manager-container', 'editing');
+    await formsDataManager.init('#forms-data-manager-container', 'editing');
+    await siteRulesManager.init('#site-rules-manager-container', 'editing');
+    await profileRulesManager.init('#profile-rules-manager-container', 'editing');
 
     // Load last active tab
     chrome.storage.session.get(['lastActiveTab'], function(result) {
@@ -45,8 +57,32 @@ document.addEventListener('DOMContentLoaded', async function() {
         updateStatus('profile', event.detail.error);
     });
 
+    document.addEventListener('settingsSaved', () => {
+        updateStatus('settings');
+    });
+
+    document.addEventListener('settingsSavingError', (event) => {
+        updateStatus('settings', event.detail.error);
+    });
+
+    document.addEventListener('siteRulesSaved', () => {
+        updateStatus('site-rules');
+    });
+
+    document.addEventListener('siteRulesSavingError', (event) => {
+        updateStatus('site-rules', event.detail.error);
+    });
+
+    document.addEventListener('profileRulesSaved', () => {
+        updateStatus('profile-rules');
+    });
+
+    document.addEventListener('profileRulesSavingError', (event) => {
+        updateStatus('profile-rules', event.detail.error);
+    });
+
     // Add event listeners for tab changes
-    ['model', 'profile', 'card'].forEach(tabId => {
+    ['model', 'profile', 'card', 'forms', 'sites', 'settings'].forEach(tabId => {
         console.log('Adding event listener for tab: ', tabId);
 
         const tab = document.getElementById(`${tabId}-tab`);
@@ -4,6 +4,7 @@
 const modelManager = new ModelManager();
 const profileManager = new ProfileManager();
 const cardManager = new CardManager(); // Initialize CardManager
+const siteRulesManager = new SiteRulesManager();
 
 document.addEventListener('DOMContentLoaded', async () => {
     // Handle auto-fill checkbox state
@@ -24,6 +25,11 @@ document.addEventListener('DOMContentLoaded', async () => {
     await profileManager.init('#profile-manager-container', 'selection');
     await cardManager.init('#card-manager-container', 'selection'); // Initialize CardManager with a container
 
+    // Edit the rule of the site of the active tab
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const site = tab && tab.url && /^https?:/.test(tab.url) ? new URL(tab.url).hostname : null;
+    await siteRulesManager.init('#site-rules-manager-container', 'selection', site);
+
     // Initialize Enable/Disable Extension Checkbox
     const enableCheckbox = document.getElementById('enable-extension-checkbox');
     const fillFormBtn = document.getElementById('fill-form-btn');
@@ -62,4 +68,12 @@ document.getElementById('fill-form-btn').addEventListener('click', () => {
     });
 });
 
+// Handle undo-fill button click
+document.getElementById('undo-fill-btn').addEventListener('click', () => {
+    // Send message to content script to restore the fields changed by the last fill
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+        chrome.tabs.sendMessage(tabs[0].id, { action: 'undoFill' });
+    });
+});
+
 
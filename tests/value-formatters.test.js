@@ -0,0 +1,57 @@
+/* value-formatters.test.js */
+
+/**
+* Tests of the value formatters, run with `node --test tests/`. The helper is
+* a content script declaring globals, so it is evaluated in its own context.
+*/
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const context = vm.createContext({});
+vm.runInContext(fs.readFileSync(path.join(__dirname, '../helpers/value-formatters.js'), 'utf8'), context);
+const { formatFieldValue, formatPhoneNumber } = context;
+
+test('phone numbers fitting the pattern are kept as typed', () => {
+    const field = { tag: 'input', type: 'tel', pattern: '\\(\\d{3}\\) \\d{3}-\\d{4}' };
+    assert.equal(formatFieldValue('(555) 123-4567', field, 'en-US'), '(555) 123-4567');
+});
+
+test('phone numbers without a country code are kept as typed', () => {
+    const field = { tag: 'input', type: 'tel' };
+    assert.equal(formatFieldValue('06 12 34 56 78', field, 'fr-FR'), '06 12 34 56 78');
+});
+
+test('phone numbers with a country code are written in E.164 format', () => {
+    const field = { tag: 'input', type: 'tel' };
+    assert.equal(formatFieldValue('+33 6 12 34 56 78', field, 'fr-FR'), '+33612345678');
+    assert.equal(formatPhoneNumber('0033 6 12 34 56 78', field), '+33612345678');
+});
+
+test('phone numbers too long in E.164 format fall back to the national number', () => {
+    const field = { tag: 'input', type: 'tel', maxLength: 10 };
+    assert.equal(formatFieldValue('+33 6 12 34 56 78', field, 'fr-FR'), '612345678');
+});
+
+test('national phone fields get the number without the country code', () => {
+    const field = { tag: 'input', type: 'tel', autocomplete: 'tel-national' };
+    assert.equal(formatFieldValue('+1 555 123 4567', field, 'en-US'), '5551234567');
+});
+
+test('number inputs keep leading zeros', () => {
+    const field = { tag: 'input', type: 'number' };
+    assert.equal(formatFieldValue('00123', field, 'en-US'), '00123');
+});
+
+test('number inputs get localized decimals in canonical form', () => {
+    const field = { tag: 'input', type: 'number' };
+    assert.equal(formatFieldValue('1 234,5', field, 'fr-FR'), '1234.5');
+});
+
+test('values for choice fields are returned unchanged', () => {
+    assert.equal(formatFieldValue('+33 6 12 34 56 78', { tag: 'select' }, 'fr-FR'), '+33 6 12 34 56 78');
+    assert.equal(formatFieldValue('yes', { tag: 'input', type: 'checkbox' }, 'en-US'), 'yes');
+});